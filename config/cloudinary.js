@@ -1,5 +1,4 @@
-import { v2 as cloudinary } from 'cloudinary';
-import fs from 'fs';
+const cloudinary = require('cloudinary').v2;
 
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -7,19 +6,4 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-export const uploadToCloudinary = async (file) => {
-  try {
-    const result = await cloudinary.uploader.upload(file.path, {
-      resource_type: 'auto',
-      folder: 'quicktalk'
-    });
-    
-    // Delete file from server after upload
-    fs.unlinkSync(file.path);
-    
-    return result;
-  } catch (error) {
-    fs.unlinkSync(file.path); // Ensure file gets deleted even if upload fails
-    throw error;
-  }
-};
\ No newline at end of file
+module.exports = cloudinary;
@@ -1,9 +1,17 @@
-import multer from 'multer';
-import path from 'path';
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Temp directory only: files are handed to the storage driver (services/storage) afterwards
+const UPLOAD_DIR = path.join(os.tmpdir(), 'quicktalk-uploads');
+
+// Make sure the temp directory exists before multer writes into it
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, 'uploads/');
+    cb(null, UPLOAD_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -16,7 +24,7 @@ const fileFilter = (req, file, cb) => {
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type'), false);
+    cb(new Error('Invalid file type. Allowed: JPEG, PNG, GIF, PDF and plain text.'), false);
   }
 };
 
@@ -26,4 +34,4 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
-export default upload;
\ No newline at end of file
+module.exports = { upload, storage };
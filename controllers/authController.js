@@ -1,13 +1,94 @@
 // server/controllers/authController.js
 const User = require("../models/User");
+const {
+  startSession,
+  rotateSession,
+  endSession,
+  revokeSession,
+  revokeAllSessions,
+  disconnectSessions,
+  clearRefreshCookie,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} = require("../services/tokenService");
+const Session = require("../models/Session");
+const Chat = require("../models/Chat");
+const mongoose = require("mongoose");
 const generateToken = require("../utils/generateToken");
+const { removeFile } = require("../services/storage");
 const asyncHandler = require("express-async-handler"); // Helper to handle async errors
+const crypto = require("crypto");
+const Email = require("../utils/sendEmail");
+const {
+  generateSecret,
+  buildOtpauthUrl,
+  verifyTotp,
+} = require("../utils/totp");
+const {
+  exportAccountData,
+  scheduleDeletion,
+  cancelScheduledDeletion,
+} = require("../services/accountService");
+const {
+  applyLastSeenPrivacy,
+  broadcastPresence,
+  getContactIds,
+} = require("../services/presenceService");
+
+// Base URL of the frontend, used for links sent by email
+const CLIENT_URL =
+  process.env.CLIENT_URL || process.env.CORS_ORIGIN || "http://localhost:5173";
+
+// User search paging; the term is capped to keep regex matching cheap
+const USER_SEARCH_PAGE_SIZE = 10;
+const MAX_USER_SEARCH_PAGE_SIZE = 50;
+const MAX_SEARCH_LENGTH = 100;
+
+// Escapes regex metacharacters so user input is matched literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Normalizes and validates a requested username and checks it is free
+// (ignoring `currentUserId`'s own). @returns { username, error }
+const checkUsername = async (value, currentUserId = null) => {
+  const username = User.normalizeUsername(value);
+  const error = User.validateUsername(username);
+  if (error) return { username, error };
+
+  const taken = await User.exists({
+    username,
+    ...(currentUserId && { _id: { $ne: currentUserId } }),
+  });
+  return { username, error: taken ? "Username is already taken" : null };
+};
+
+// Sent (with Retry-After) while a login lockout is active
+const ACCOUNT_LOCKED_MESSAGE =
+  "Too many failed login attempts. This account is temporarily locked, please try again later.";
+
+// Issues a fresh verification token and emails the link. Failures are logged but not
+// thrown: the account stays usable (with limited actions) and the user can resend.
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    const verifyURL = `${CLIENT_URL}/verify-email/${verificationToken}`;
+    await new Email(user, verifyURL).sendVerification();
+    return true;
+  } catch (error) {
+    console.error(
+      `[sendVerificationEmail] Failed to email ${user.email}:`,
+      error.message
+    );
+    return false;
+  }
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
 exports.registerUser = asyncHandler(async (req, res) => {
-  const { name, email, password } = req.body;
+  const { name, email, password, username } = req.body;
 
   if (!name || !email || !password) {
     res.status(400); // Bad Request
@@ -22,23 +103,41 @@ exports.registerUser = asyncHandler(async (req, res) => {
     throw new Error("User already exists with this email");
   }
 
+  // Optional @handle
+  const usernameCheck = username ? await checkUsername(username) : null;
+  if (usernameCheck?.error) {
+    res.status(400);
+    throw new Error(usernameCheck.error);
+  }
+
   // Create new user
   const user = await User.create({
     name,
     email,
     password, // Password will be hashed by mongoose pre-save hook
+    ...(usernameCheck && { username: usernameCheck.username }),
   });
 
   if (user) {
-    // Generate token and send response (excluding password)
+    // New accounts start unverified; the emailed link confirms the address
+    const verificationSent = await sendVerificationEmail(user);
+
+    // Start a session: refresh token goes in an httpOnly cookie, access token in the body
+    const token = await startSession(req, res, user);
+
+    // Send response (excluding password)
     res.status(201).json({
       // 201 Created
       _id: user._id,
       name: user.name,
+      username: user.username,
       email: user.email,
       status: user.status,
       pic: user.pic,
-      token: generateToken(user._id),
+      emailVerified: user.emailVerified,
+      privacy: user.privacy,
+      verificationSent,
+      token,
     });
   } else {
     res.status(400);
@@ -57,25 +156,153 @@ exports.loginUser = asyncHandler(async (req, res) => {
     throw new Error("Please provide email and password");
   }
 
-  // Find user by email, explicitly select password for comparison
-  const user = await User.findOne({ email }).select("+password");
+  // Find user by email, explicitly select password and lockout state
+  const user = await User.findOne({ email }).select(
+    "+password +failedLoginAttempts +lockUntil"
+  );
+
+  // Locked accounts don't get their password checked until the lock expires
+  const lockSeconds = user ? user.getLockRemainingSeconds() : 0;
+  if (lockSeconds > 0) {
+    res.set("Retry-After", String(lockSeconds));
+    res.status(429);
+    throw new Error(ACCOUNT_LOCKED_MESSAGE);
+  }
 
   // Check if user exists and password matches
   if (user && (await user.matchPassword(password))) {
+    // Second factor: no session or token until the code is checked (POST /login/2fa).
+    // Failed attempts are only cleared once the whole login succeeds.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        twoFactorToken: createTwoFactorChallenge(user._id),
+      });
+    }
+
+    await user.resetLoginAttempts();
+    // Logging in during the grace period keeps the account
+    const deletionCancelled = await cancelScheduledDeletion(user);
+
+    // Start a session: refresh token goes in an httpOnly cookie, access token in the body
+    const token = await startSession(req, res, user);
+
     res.json({
       _id: user._id,
       name: user.name,
+      username: user.username,
       email: user.email,
       status: user.status,
       pic: user.pic,
-      token: generateToken(user._id),
+      emailVerified: user.emailVerified,
+      privacy: user.privacy,
+      ...(deletionCancelled && { deletionCancelled }),
+      token,
     });
   } else {
+    // Count the failure; enough of them lock the account (exponential backoff)
+    const lockedFor = user ? await user.registerFailedLogin() : 0;
+    if (lockedFor > 0) {
+      res.set("Retry-After", String(lockedFor));
+      res.status(429);
+      throw new Error(ACCOUNT_LOCKED_MESSAGE);
+    }
     res.status(401); // Unauthorized
     throw new Error("Invalid email or password");
   }
 });
 
+// Accepts a TOTP code once: the matched time step must be newer than the last used one.
+// `user` needs twoFactorSecret and twoFactorLastUsedStep selected.
+const consumeTotpCode = async (user, secret, code) => {
+  const step = verifyTotp(secret, code);
+  if (step === null) return false;
+  if (
+    user.twoFactorLastUsedStep != null &&
+    step <= user.twoFactorLastUsedStep
+  ) {
+    return false;
+  }
+  // Conditional update so two concurrent requests can't both use the same code
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { $lt: step } },
+      ],
+    },
+    { $set: { twoFactorLastUsedStep: step } },
+    { timestamps: false }
+  );
+  return result.modifiedCount > 0;
+};
+
+// @desc    Second login step for accounts with two-factor auth
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires the twoFactorToken returned by POST /api/auth/login)
+exports.loginTwoFactor = asyncHandler(async (req, res) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    res.status(400);
+    throw new Error(
+      "Please provide your authentication code or a recovery code"
+    );
+  }
+
+  const userId = verifyTwoFactorChallenge(twoFactorToken);
+  const user = await User.findById(userId).select(
+    "+twoFactorSecret +twoFactorLastUsedStep +failedLoginAttempts +lockUntil"
+  );
+  if (!user || !user.twoFactorEnabled) {
+    res.status(401);
+    throw new Error("Two-factor login has expired, please log in again");
+  }
+
+  // Code guesses count towards the same lockout as password guesses
+  const lockSeconds = user.getLockRemainingSeconds();
+  if (lockSeconds > 0) {
+    res.set("Retry-After", String(lockSeconds));
+    res.status(429);
+    throw new Error(ACCOUNT_LOCKED_MESSAGE);
+  }
+
+  const verified = code
+    ? await consumeTotpCode(user, user.twoFactorSecret, code)
+    : await user.useRecoveryCode(recoveryCode);
+
+  if (!verified) {
+    const lockedFor = await user.registerFailedLogin();
+    if (lockedFor > 0) {
+      res.set("Retry-After", String(lockedFor));
+      res.status(429);
+      throw new Error(ACCOUNT_LOCKED_MESSAGE);
+    }
+    res.status(401);
+    throw new Error(
+      code ? "Invalid authentication code" : "Invalid recovery code"
+    );
+  }
+
+  await user.resetLoginAttempts();
+  const deletionCancelled = await cancelScheduledDeletion(user);
+  const token = await startSession(req, res, user);
+
+  res.json({
+    _id: user._id,
+    name: user.name,
+    username: user.username,
+    email: user.email,
+    status: user.status,
+    pic: user.pic,
+    emailVerified: user.emailVerified,
+    privacy: user.privacy,
+    ...(deletionCancelled && { deletionCancelled }),
+    token,
+  });
+});
+
 // @desc    Get user profile (Example protected route)
 // @route   GET /api/auth/me
 // @access  Private (Requires token)
@@ -85,6 +312,8 @@ exports.getMe = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user.id).select("-password"); // Exclude password
 
   if (user) {
+    // Own profile: include the account settings
+    user.$locals.showAccountSettings = true;
     res.json(user);
   } else {
     res.status(404);
@@ -92,42 +321,170 @@ exports.getMe = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Search for users based on name or email
-// @route   GET /api/auth/user?search=keyword
+// @desc    Search for users by name, username or email (ranked and paginated),
+//          or by exact username with search=@handle
+// @route   GET /api/auth/user?search=keyword&page=&limit=&excludeChatId=
 // @access  Private (Requires token)
 exports.searchUsers = asyncHandler(async (req, res) => {
-  const keyword = req.query.search
-    ? {
+  const search = (req.query.search || "").trim().slice(0, MAX_SEARCH_LENGTH);
+  const { excludeChatId } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_USER_SEARCH_PAGE_SIZE,
+    Math.max(1, parseInt(req.query.limit, 10) || USER_SEARCH_PAGE_SIZE)
+  );
+
+  if (excludeChatId && !excludeChatId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error("Invalid Chat ID format");
+  }
+
+  // Nothing to rank without a search term
+  if (!search) {
+    return res.json({ users: [], page, limit, total: 0, hasMore: false });
+  }
+
+  // Members of `excludeChatId` are left out (group "add members" dialog)
+  let excludedMemberIds = [];
+  if (excludeChatId) {
+    const chat = await Chat.findOne({
+      _id: excludeChatId,
+      users: { $elemMatch: { $eq: req.user._id } },
+    }).select("users");
+    if (!chat) {
+      res.status(403);
+      throw new Error("Not authorized to access this chat");
+    }
+    excludedMemberIds = chat.users;
+  }
+
+  // Blocked users are hidden in both directions
+  const requester = await User.findById(req.user._id).select("+blockedUsers");
+  const blockedIds = requester?.blockedUsers || [];
+  const contactIds = await getContactIds(req.user._id);
+  const contactObjectIds = [...contactIds].map(
+    (id) => new mongoose.Types.ObjectId(id)
+  );
+
+  // "@handle" looks up exactly that username. Otherwise user input is escaped so
+  // it always matches literally; hidden emails only match when typed in full.
+  const isHandleLookup = search.startsWith("@");
+  const pattern = escapeRegex(search);
+  const filter = {
+    $or: isHandleLookup
+      ? [{ username: User.normalizeUsername(search) }]
+      : [
+          { name: { $regex: pattern, $options: "i" } },
+          { username: { $regex: pattern, $options: "i" } },
+          {
+            email: { $regex: pattern, $options: "i" },
+            "privacy.hideEmail": { $ne: true },
+          },
+          { email: search.toLowerCase() },
+        ],
+    _id: {
+      $nin: [req.user._id, ...blockedIds, ...excludedMemberIds],
+    },
+    blockedUsers: { $ne: req.user._id },
+    deletedAt: null, // Anonymized (deleted) accounts
+    // Discoverability setting (missing = "everyone" for older accounts)
+    $and: [
+      {
         $or: [
-          // Case-insensitive regex search on name and email
-          { name: { $regex: req.query.search, $options: "i" } },
-          { email: { $regex: req.query.search, $options: "i" } },
+          { "privacy.discoverable": { $in: ["everyone", null] } },
+          {
+            "privacy.discoverable": "contacts",
+            _id: { $in: contactObjectIds },
+          },
+        ],
+      },
+    ],
+  };
+
+  // Rank: exact email match, then name (or username) prefix, then any other match
+  const [result] = await User.aggregate([
+    { $match: filter },
+    {
+      $addFields: {
+        searchRank: {
+          $switch: {
+            branches: [
+              { case: { $eq: ["$email", search.toLowerCase()] }, then: 0 },
+              {
+                case: {
+                  $or: [
+                    {
+                      $regexMatch: {
+                        input: "$name",
+                        regex: `^${pattern}`,
+                        options: "i",
+                      },
+                    },
+                    {
+                      $regexMatch: {
+                        input: { $ifNull: ["$username", ""] },
+                        regex: `^${pattern}`,
+                        options: "i",
+                      },
+                    },
+                  ],
+                },
+                then: 1,
+              },
+            ],
+            default: 2,
+          },
+        },
+      },
+    },
+    {
+      $facet: {
+        total: [{ $count: "count" }],
+        page: [
+          { $sort: { searchRank: 1, name: 1, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _id: 1 } },
         ],
-      }
-    : {}; // If no search query, return empty (or handle differently if needed)
+      },
+    },
+  ]);
+  const total = result.total[0]?.count || 0;
+  const rankedIds = result.page.map((entry) => entry._id.toString());
 
-  // Find users matching the keyword
-  // Exclude the user making the request ($ne: Not Equal)
-  // Use req.user._id which is added by the 'protect' middleware
-  const users = await User.find(keyword)
-    .find({ _id: { $ne: req.user._id } })
-    .limit(10) // Limit results to prevent overload
-    .select("name email pic _id"); // Select only the fields needed by the frontend
+  // Load documents (for the serialization rules) and restore the ranked order.
+  // Select only the fields needed by the frontend.
+  const found = await User.find({ _id: { $in: rankedIds } }).select(
+    "name username email pic _id lastSeen privacy"
+  );
+  const users = rankedIds
+    .map((id) => found.find((user) => user._id.toString() === id))
+    .filter(Boolean);
 
-  res.json(users); // Send the array of found users
+  // lastSeen only where the user's privacy setting allows the searcher to see it
+  applyLastSeenPrivacy(users, (user) => contactIds.has(user._id.toString()));
+
+  res.json({ users, page, limit, total, hasMore: page * limit < total });
 });
 
-// @desc    Update user profile (name, email, status, profile pic)
+// @desc    Update user profile (name, username, email, status, profile pic)
 // @route   PUT /api/auth/update-profile
 // @access  Private (Requires token)
 exports.updateProfile = asyncHandler(async (req, res) => {
-  const { name, email, status } = req.body;
+  const { name, email, status, username } = req.body;
   const userId = req.user._id;
   
   // Log the request body for debugging
   console.log("Update Profile Request Body:", req.body);
   console.log("Status value received:", status);
   
+  // Discard the stored picture if the update is rejected
+  res.on("finish", () => {
+    if (res.statusCode >= 400 && req.file?.publicId) {
+      removeFile(req.file.publicId, { mimeType: req.file.mimetype });
+    }
+  });
+
   // Find the current user
   const user = await User.findById(userId);
   
@@ -137,7 +494,9 @@ exports.updateProfile = asyncHandler(async (req, res) => {
   }
   
   // Check if the email is being changed and if it's already in use
-  if (email && email !== user.email) {
+  const emailChanged =
+    Boolean(email) && email.toLowerCase().trim() !== user.email;
+  if (emailChanged) {
     const emailExists = await User.findOne({ email, _id: { $ne: userId } });
     if (emailExists) {
       res.status(400);
@@ -145,6 +504,16 @@ exports.updateProfile = asyncHandler(async (req, res) => {
     }
   }
   
+  // A new username must be valid and free
+  if (username) {
+    const usernameCheck = await checkUsername(username, userId);
+    if (usernameCheck.error) {
+      res.status(400);
+      throw new Error(usernameCheck.error);
+    }
+    user.username = usernameCheck.username;
+  }
+
   // Log current user status before update
   console.log("Current user status:", user.status);
   
@@ -160,15 +529,21 @@ exports.updateProfile = asyncHandler(async (req, res) => {
   console.log("Updated user status:", user.status);
   
   // If a file was uploaded, update the profile picture URL
-  if (req.file && req.file.path) {
-    user.pic = req.file.path; // Cloudinary returns the URL in req.file.path
+  if (req.file && req.file.url) {
+    user.pic = req.file.url; // Set by uploadProfilePic from the storage driver
   }
   
+  // A new email address has to be verified again
+  if (emailChanged) {
+    user.emailVerified = false;
+  }
+
   // Save the updated user
   const updatedUser = await user.save();
-  
-  // Generate a new token with the updated info
-  const token = generateToken(updatedUser._id);
+
+  if (emailChanged) {
+    await sendVerificationEmail(updatedUser);
+  }
   
   // Log response data
   console.log("Sending updated user data:", {
@@ -179,9 +554,589 @@ exports.updateProfile = asyncHandler(async (req, res) => {
   res.json({
     _id: updatedUser._id,
     name: updatedUser.name,
+    username: updatedUser.username,
     email: updatedUser.email,
     status: updatedUser.status,
     pic: updatedUser.pic,
-    token: token,
+    emailVerified: updatedUser.emailVerified,
+    privacy: updatedUser.privacy,
+    // No new token: the current access token stays valid (see POST /api/auth/refresh)
+  });
+});
+
+// @desc    Update who can see the online status and last seen time, who can find
+//          the user in search, and whether the email is hidden from other users
+// @route   PUT /api/auth/privacy
+// @access  Private (Requires token)
+exports.updatePrivacy = asyncHandler(async (req, res) => {
+  const updates = {};
+  ["onlineStatus", "lastSeen", "discoverable"].forEach((setting) => {
+    if (req.body[setting] === undefined) return;
+    if (!User.PRIVACY_LEVELS.includes(req.body[setting])) {
+      res.status(400);
+      throw new Error(
+        `${setting} must be one of: ${User.PRIVACY_LEVELS.join(", ")}`
+      );
+    }
+    updates[`privacy.${setting}`] = req.body[setting];
+  });
+
+  if (req.body.hideEmail !== undefined) {
+    if (typeof req.body.hideEmail !== "boolean") {
+      res.status(400);
+      throw new Error("hideEmail must be true or false");
+    }
+    updates["privacy.hideEmail"] = req.body.hideEmail;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    res.status(400);
+    throw new Error(
+      "Please provide onlineStatus, lastSeen, discoverable and/or hideEmail"
+    );
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: updates },
+    { new: true, runValidators: true }
+  );
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  // Re-announce presence so chat partners immediately reflect the new settings
+  if (req.io) {
+    broadcastPresence(req.io, user._id).catch((error) =>
+      console.warn(
+        `[updatePrivacy] Presence broadcast failed for ${user._id}: ${error.message}`
+      )
+    );
+  }
+
+  res.json({ privacy: user.privacy });
+});
+
+// @desc    Change the password of the logged-in user. Access tokens issued before the
+//          change stop working and every other device is logged out; the current
+//          device gets a new access token.
+// @route   PUT /api/auth/change-password
+// @access  Private (Requires token and the current password)
+exports.changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    res.status(400);
+    throw new Error("Please provide your current and new password");
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+  if (!(await user.matchPassword(currentPassword))) {
+    res.status(401);
+    throw new Error("Current password is incorrect");
+  }
+  if (await user.matchPassword(newPassword)) {
+    res.status(400);
+    throw new Error("New password must be different from the current one");
+  }
+
+  // Validated against the schema rules and hashed by the model (bumps tokenVersion)
+  user.password = newPassword;
+  await user.save();
+
+  // Log out every other device and close their sockets
+  const revokedSessionIds = await revokeAllSessions(
+    user._id,
+    "password-change",
+    req.sessionId
+  );
+  disconnectSessions(req.io, revokedSessionIds);
+
+  res.json({
+    message: "Password changed successfully",
+    token: generateToken(user._id, req.sessionId, user.tokenVersion),
+  });
+});
+
+// @desc    Send a password reset link by email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    res.status(400);
+    throw new Error("Please provide your email");
+  }
+
+  // Same response whether or not the account exists (prevents email enumeration)
+  const genericResponse = {
+    message: "If an account exists for this email, a reset link has been sent.",
+  };
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+  if (!user) {
+    return res.status(200).json(genericResponse);
+  }
+
+  // Generate the token; skip validation since only the reset fields change
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    const resetURL = `${CLIENT_URL}/reset-password/${resetToken}`;
+    await new Email(user, resetURL).sendPasswordReset();
+  } catch (error) {
+    console.error("forgotPassword Email Error:", error);
+    // Don't leave a usable token behind if the email never went out
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(500);
+    throw new Error("There was an error sending the email. Try again later.");
+  }
+
+  res.status(200).json(genericResponse);
+});
+
+// @desc    Set a new password using the emailed reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    res.status(400);
+    throw new Error("Please provide a new password");
+  }
+
+  // Tokens are stored hashed, so hash the incoming one before looking it up
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    res.status(400);
+    throw new Error("Password reset token is invalid or has expired");
+  }
+
+  // Password will be validated and hashed by the model
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  await user.save();
+
+  // Log out every device that used the old password, then start a fresh session
+  const revokedSessionIds = await revokeAllSessions(user._id, "password-reset");
+  disconnectSessions(req.io, revokedSessionIds);
+
+  // The reset link only proves access to the mailbox: with two-factor auth
+  // enabled the user still has to log in with their code
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      message: "Password has been reset, please log in",
+      twoFactorRequired: true,
+    });
+  }
+
+  const token = await startSession(req, res, user);
+
+  res.status(200).json({
+    _id: user._id,
+    name: user.name,
+    username: user.username,
+    email: user.email,
+    status: user.status,
+    pic: user.pic,
+    emailVerified: user.emailVerified,
+    token,
+  });
+});
+
+// @desc    Confirm an email address with the emailed verification token
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    res.status(400);
+    throw new Error("Verification link is invalid or has expired");
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    _id: user._id,
+    email: user.email,
+    emailVerified: true,
+    message: "Email verified successfully",
+  });
+});
+
+// @desc    Send a new verification email to the logged-in user
+// @route   POST /api/auth/resend-verification
+// @access  Private (Requires token)
+exports.resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+  if (user.emailVerified) {
+    res.status(400);
+    throw new Error("Email is already verified");
+  }
+
+  const sent = await sendVerificationEmail(user);
+  if (!sent) {
+    res.status(500);
+    throw new Error("There was an error sending the email. Try again later.");
+  }
+
+  res.status(200).json({ message: `Verification email sent to ${user.email}` });
+});
+
+// @desc    Get a new access token using the refresh token cookie (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (requires the httpOnly refresh cookie)
+exports.refreshAccessToken = asyncHandler(async (req, res) => {
+  try {
+    const { user, accessToken } = await rotateSession(req, res);
+
+    res.status(200).json({
+      _id: user._id,
+      name: user.name,
+      username: user.username,
+      email: user.email,
+      status: user.status,
+      pic: user.pic,
+      emailVerified: user.emailVerified,
+      token: accessToken,
+    });
+  } catch (error) {
+    // A rejected refresh token is useless to the client, so drop the cookie
+    // (unless a concurrent refresh may have just replaced it)
+    if (!error.keepRefreshCookie) clearRefreshCookie(res);
+    throw error;
+  }
+});
+
+// @desc    Log out: revoke the current session and clear the refresh cookie
+// @route   POST /api/auth/logout
+// @access  Public (uses the httpOnly refresh cookie)
+exports.logoutUser = asyncHandler(async (req, res) => {
+  await endSession(req);
+  clearRefreshCookie(res);
+  res.status(200).json({ message: "Logged out successfully" });
+});
+
+// @desc    List the logged-in user's active sessions (devices)
+// @route   GET /api/auth/sessions
+// @access  Private (Requires token)
+exports.getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.json(
+    sessions.map((session) => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.toString() === req.sessionId?.toString(),
+    }))
+  );
+});
+
+// @desc    Revoke one of the logged-in user's sessions (log out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private (Requires token)
+exports.revokeUserSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error("Invalid Session ID format");
+  }
+
+  // Only the owner's own, still active sessions can be revoked
+  const session = await Session.findOne({
+    _id: id,
+    user: req.user._id,
+    revokedAt: null,
+  });
+  if (!session) {
+    res.status(404);
+    throw new Error("Session not found");
+  }
+
+  await revokeSession(session._id, "user-revoked");
+  // Live sockets of that device are closed right away
+  disconnectSessions(req.io, [session._id]);
+
+  const isCurrent = session._id.toString() === req.sessionId?.toString();
+  if (isCurrent) {
+    clearRefreshCookie(res);
+  }
+
+  res.json({
+    message: "Session revoked",
+    sessionId: session._id,
+    current: isCurrent,
+  });
+});
+
+// @desc    List the users the logged-in user has blocked
+// @route   GET /api/auth/blocked
+// @access  Private (Requires token)
+exports.getBlockedUsers = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select("+blockedUsers")
+    .populate("blockedUsers", "name pic");
+
+  res.json(user?.blockedUsers || []);
+});
+
+// @desc    Block a user: no new 1-on-1 chats or direct messages between the two,
+//          and the blocked user can no longer add the blocker to groups
+// @route   POST /api/auth/block/:userId
+// @access  Private (Requires token)
+exports.blockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error("Invalid User ID format");
+  }
+  if (userId === req.user._id.toString()) {
+    res.status(400);
+    throw new Error("You cannot block yourself");
+  }
+  if (!(await User.exists({ _id: userId }))) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $addToSet: { blockedUsers: userId } }
+  );
+
+  res.json({ message: "User blocked", userId });
+});
+
+// @desc    Unblock a previously blocked user
+// @route   DELETE /api/auth/block/:userId
+// @access  Private (Requires token)
+exports.unblockUser = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error("Invalid User ID format");
+  }
+
+  const result = await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { blockedUsers: userId } }
+  );
+  if (result.modifiedCount === 0) {
+    res.status(404);
+    throw new Error("User is not blocked");
+  }
+
+  res.json({ message: "User unblocked", userId });
+});
+
+// @desc    Start two-factor setup: returns a new secret and its otpauth:// URI
+//          (for a QR code). Nothing changes until POST /2fa/confirm succeeds.
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Requires token)
+exports.setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({ secret, otpauthUrl: buildOtpauthUrl(secret, user.email) });
+});
+
+// @desc    Finish two-factor setup with the first code from the authenticator app.
+//          Returns the recovery codes; they are only ever shown this once.
+// @route   POST /api/auth/2fa/confirm
+// @access  Private (Requires token)
+exports.confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorPendingSecret +twoFactorLastUsedStep"
+  );
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactorPendingSecret) {
+    res.status(400);
+    throw new Error("Please start two-factor setup first");
+  }
+  if (!(await consumeTotpCode(user, user.twoFactorPendingSecret, code))) {
+    res.status(400);
+    throw new Error("Invalid authentication code");
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({ twoFactorEnabled: true, recoveryCodes });
+});
+
+// @desc    Replace the recovery codes (the old ones stop working)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private (Requires token and the current password)
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!user || !password || !(await user.matchPassword(password))) {
+    res.status(401);
+    throw new Error("Incorrect password");
+  }
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  const recoveryCodes = user.createRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.json({ recoveryCodes });
+});
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/2fa/disable
+// @access  Private (Requires token and the current password)
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!user || !password || !(await user.matchPassword(password))) {
+    res.status(401);
+    throw new Error("Incorrect password");
+  }
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({ twoFactorEnabled: false });
+});
+
+// @desc    Download a JSON archive of the user's profile, chats and sent messages
+// @route   GET /api/auth/account/export
+// @access  Private (Requires token)
+exports.exportAccount = asyncHandler(async (req, res) => {
+  const data = await exportAccountData(req.user._id);
+  if (!data) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  const date = data.exportedAt.toISOString().slice(0, 10);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="quicktalk-export-${req.user._id}-${date}.json"`
+  );
+  res.type("application/json");
+  res.send(JSON.stringify(data, null, 2));
+});
+
+// @desc    Schedule the account for deletion after a grace period and log out
+//          everywhere. Logging in again before then cancels the deletion.
+// @route   DELETE /api/auth/account
+// @access  Private (Requires token and the current password)
+exports.deleteAccount = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!user || !password || !(await user.matchPassword(password))) {
+    res.status(401);
+    throw new Error("Incorrect password");
+  }
+
+  const deletionScheduledFor = await scheduleDeletion(user, req.io);
+  clearRefreshCookie(res);
+
+  res.json({
+    message:
+      "Your account will be deleted. Log in again before the deletion date to keep it.",
+    deletionScheduledFor,
+  });
+});
+
+// @desc    Check whether a username can be used
+// @route   GET /api/auth/username-available?username=
+// @access  Public
+exports.checkUsernameAvailability = asyncHandler(async (req, res) => {
+  if (!req.query.username) {
+    res.status(400);
+    throw new Error("Please provide a username");
+  }
+
+  const { username, error } = await checkUsername(req.query.username);
+  res.json({
+    username,
+    available: !error,
+    ...(error && { message: error }),
   });
 });
@@ -4,39 +4,15 @@ const Chat = require("../models/Chat.js");
 const User = require("../models/User.js");
 const Message = require("../models/Message.js"); // Import Message model
 const mongoose = require("mongoose");
-
-// --- Helper function for common chat population ---
-const populateChat = async (chat) => {
-  // Check if chat is a valid Mongoose document before attempting population
-  if (!chat || !(chat instanceof mongoose.Document)) {
-    console.warn("[populateChat] Invalid document provided or null value.");
-    return null;
-  }
-  try {
-    // Ensure population paths are correct and exclude sensitive fields
-    const populated = await chat.populate([
-      {
-        path: "users",
-        select: "-password -refreshToken -createdAt -updatedAt -__v",
-      },
-      {
-        path: "groupAdmin",
-        select: "-password -refreshToken -createdAt -updatedAt -__v",
-      },
-      {
-        path: "latestMessage",
-        populate: {
-          path: "sender",
-          select: "name pic email status", // Select fields needed for latest message display
-        },
-      },
-    ]);
-    return populated;
-  } catch (error) {
-    console.error(`[populateChat] Error populating chat ${chat?._id}:`, error);
-    return null; // Return null on population error
-  }
-};
+const {
+  getLastRead,
+  getUnreadSummary,
+} = require("../services/receiptService");
+const { removeFile } = require("../services/storage");
+const {
+  populateChat,
+  transferGroupAdmin,
+} = require("../services/chatService");
 
 // @desc    Access or create 1-on-1 chat
 // @route   POST /api/chat
@@ -82,7 +58,10 @@ exports.accessChat = asyncHandler(async (req, res) => {
   }
 
   try {
-    const targetUserExists = await User.findById(userId).select("_id");
+    const targetUserExists = await User.findOne({
+      _id: userId,
+      deletedAt: null, // Deleted (anonymized) accounts can't be messaged
+    }).select("_id");
     if (!targetUserExists) {
       console.warn(`[accessChat] Failed: Target user ${userId} not found.`);
       return res
@@ -117,6 +96,17 @@ exports.accessChat = asyncHandler(async (req, res) => {
       );
       res.status(200).json({ success: true, chat: fullChat }); // Use 200 OK for existing resource
     } else {
+      // No new conversations between users where either one blocked the other
+      if (await User.isBlockedBetween(requesterId, userId)) {
+        console.warn(
+          `[accessChat] Failed: Block between ${requesterId} and ${userId}.`
+        );
+        return res.status(403).json({
+          success: false,
+          message: "You cannot start a chat with this user.",
+        });
+      }
+
       console.log(
         `[accessChat] No existing 1-on-1 chat found. Creating new chat...`
       );
@@ -213,7 +203,9 @@ exports.fetchChats = asyncHandler(async (req, res) => {
     );
     if (!chats || chats.length === 0) {
       console.log(`[fetchChats] No chats found for user ${userId}.`);
-      return res.status(200).json({ success: true, count: 0, chats: [] });
+      return res
+        .status(200)
+        .json({ success: true, count: 0, totalUnread: 0, chats: [] });
     }
 
     console.log(
@@ -221,12 +213,19 @@ exports.fetchChats = asyncHandler(async (req, res) => {
     );
     // Populate each chat individually using the helper
     const populatedChatsPromises = chats.map((chat) => populateChat(chat));
-    const populatedResults = await Promise.allSettled(populatedChatsPromises);
+    const [populatedResults, unread] = await Promise.all([
+      Promise.allSettled(populatedChatsPromises),
+      getUnreadSummary(userId), // Unread badges for the chat list
+    ]);
 
     const successfullyPopulatedChats = [];
     populatedResults.forEach((result, index) => {
       if (result.status === "fulfilled" && result.value) {
-        successfullyPopulatedChats.push(result.value);
+        // Attach the requester's last-read position for read markers
+        const chatObject = result.value.toObject();
+        chatObject.lastRead = getLastRead(chatObject, userId);
+        chatObject.unreadCount = unread.counts[chatObject._id.toString()] || 0;
+        successfullyPopulatedChats.push(chatObject);
       } else {
         const originalChatId = chats[index]?._id || "unknown";
         console.error(
@@ -245,6 +244,7 @@ exports.fetchChats = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       count: successfullyPopulatedChats.length,
+      totalUnread: unread.totalUnread,
       chats: successfullyPopulatedChats,
     });
   } catch (error) {
@@ -711,9 +711,25 @@ exports.addToGroup = asyncHandler(async (req, res) => {
       });
     }
 
+    // Users who blocked the admin can't be added by them
+    const blockedAdmin = await User.find({
+      _id: { $in: potentialNewMemberIds },
+      blockedUsers: requesterId,
+    }).select("name");
+    if (blockedAdmin.length > 0) {
+      console.warn(
+        `[addToGroup] Refused: ${blockedAdmin.map((u) => u._id)} blocked admin ${requesterId}`
+      );
+      return res.status(403).json({
+        success: false,
+        message: `You cannot add ${blockedAdmin.map((u) => u.name).join(", ")} to this group.`,
+      });
+    }
+
     // Verify that all potential new members actually exist in the User collection
     const existingUsers = await User.find({
       _id: { $in: potentialNewMemberIds },
+      deletedAt: null,
     }).select("_id");
     const finalNewMemberIds = existingUsers.map((u) => u._id.toString());
 
@@ -1094,17 +1110,14 @@ exports.transferAdmin = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Use findOneAndUpdate to ensure atomicity and verify conditions
-    const updatedChatRaw = await Chat.findOneAndUpdate(
-      {
-        _id: chatId,
-        isGroupChat: true,
-        groupAdmin: requesterId, // Current user must be admin
-        users: newAdminId, // Target user must be a member
-      },
-      { $set: { groupAdmin: newAdminId } },
-      { new: true }
-    );
+    // Atomic update that also verifies the conditions (admin, membership)
+    const transfer = await transferGroupAdmin({
+      chatId,
+      currentAdminId: requesterId,
+      newAdminId,
+      io,
+    });
+    const updatedChatRaw = transfer?.rawChat;
 
     if (!updatedChatRaw) {
       // Detailed check for why it failed
@@ -1139,9 +1152,9 @@ exports.transferAdmin = asyncHandler(async (req, res) => {
     }
 
     console.log(
-      `[transferAdmin] Admin role transferred to ${newAdminId} for ${chatId}. Populating...`
+      `[transferAdmin] Admin role transferred to ${newAdminId} for ${chatId}.`
     );
-    const updatedChat = await populateChat(updatedChatRaw); // Populate the updated chat
+    const updatedChat = transfer.chat; // Populated, and already sent to the room
 
     if (!updatedChat) {
       console.error(
@@ -1154,17 +1167,6 @@ exports.transferAdmin = asyncHandler(async (req, res) => {
       });
     }
 
-    // --- Socket Event for Group Update ---
-    if (io) {
-      console.log(
-        `[Socket Emit PREP] Emitting 'group updated' (admin transfer) to room ${chatId}`
-      );
-      io.to(chatId).emit("group updated", updatedChat); // Send populated chat
-    } else {
-      console.error("[transferAdmin ERROR] req.io not available!");
-    }
-    // --- End Socket Event ---
-
     console.log(`[transferAdmin] Sending success response.`);
     return res.status(200).json({
       success: true,
@@ -1253,17 +1255,25 @@ exports.getChatById = asyncHandler(async (req, res) => {
 });
 
 // @desc    Update group profile picture
-// @route   PUT /api/chat/update-pic
+// @route   PUT /api/chat/update-pic (multipart 'groupPic' file, or groupPic URL in body)
 // @access  Private (Admin only)
 exports.updateGroupPic = asyncHandler(async (req, res) => {
-  // TODO: Implement actual file upload (e.g., Cloudinary) instead of just URL
-  const { chatId, groupPic } = req.body; // Assuming groupPic is a URL for now
+  const { chatId } = req.body;
+  // Uploaded file (stored by uploadGroupPic) takes precedence over a plain URL
+  const groupPic = req.file?.url || req.body.groupPic;
   const requesterId = req.user?._id;
   const io = req.io;
   console.log(
     `[updateGroupPic] Attempt by user ${requesterId} for chat ${chatId}`
   );
 
+  // Discard the stored upload if the update is rejected (e.g., not the admin)
+  res.on("finish", () => {
+    if (res.statusCode >= 400 && req.file?.publicId) {
+      removeFile(req.file.publicId, { mimeType: req.file.mimetype });
+    }
+  });
+
   if (!requesterId) {
     return res
       .status(401)
@@ -1273,7 +1283,10 @@ exports.updateGroupPic = asyncHandler(async (req, res) => {
     // Basic check for URL presence
     return res
       .status(400)
-      .json({ success: false, message: "Chat ID and picture URL required." });
+      .json({
+        success: false,
+        message: "Chat ID and a picture (file or URL) required.",
+      });
   }
   if (!mongoose.Types.ObjectId.isValid(chatId)) {
     return res
@@ -1291,7 +1304,7 @@ exports.updateGroupPic = asyncHandler(async (req, res) => {
         isGroupChat: true,
         groupAdmin: requesterId,
       },
-      { $set: { groupPic: groupPic } }, // Assuming groupPic is just a URL string
+      { $set: { groupPic: groupPic } }, // Stored file URL or the URL sent by the client
       { new: true }
     );
 
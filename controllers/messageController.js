@@ -3,18 +3,195 @@ const asyncHandler = require("express-async-handler");
 const Message = require("../models/Message");
 const User = require("../models/User");
 const Chat = require("../models/Chat");
+const { saveFile, removeFile, removeTempFile } = require("../services/storage");
+const {
+  countUnread,
+  getUnreadSummary,
+  markChatDelivered,
+  markChatRead,
+} = require("../services/receiptService");
+
+// How long after sending a message its sender may still edit it
+const EDIT_WINDOW_MINUTES =
+  Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+
+// Population for the message a reply quotes (compact preview only)
+const REPLY_TO_POPULATE = {
+  path: "replyTo",
+  select: "sender content attachments.type deletedAt createdAt",
+  populate: { path: "sender", select: "name pic" },
+};
+
+// Sender details shown with messages. privacy.hideEmail lets the User serializer
+// leave the email out for senders who hide it.
+const SENDER_FIELDS = "name username pic email status privacy.hideEmail";
+
+// Population applied to every message returned by fetchMessages
+const MESSAGE_POPULATE = [
+  { path: "sender", select: SENDER_FIELDS }, // Populate necessary sender details
+  { path: "readBy.user", select: "name pic" }, // Who has seen the message (shown in group chats)
+  REPLY_TO_POPULATE,
+  { path: "reactions.user", select: "name pic" }, // Reactor lists
+];
+
+// Quoted replies only need enough of the original message to render a preview
+const REPLY_SNIPPET_LENGTH = 120;
+
+// Emoji only (including ZWJ sequences, skin tones and flags), never free text
+const EMOJI_REGEX =
+  /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Component}\uFE0F\u200D]+$/u;
+const MAX_EMOJI_LENGTH = 16;
+
+// Groups raw { emoji, user } entries into [{ emoji, count, users }] in first-use order
+const aggregateReactions = (reactions = []) => {
+  const groups = new Map();
+  reactions.forEach(({ emoji, user }) => {
+    if (!groups.has(emoji)) {
+      groups.set(emoji, { emoji, count: 0, users: [] });
+    }
+    const group = groups.get(emoji);
+    group.count += 1;
+    group.users.push(user);
+  });
+  return [...groups.values()];
+};
+
+// Converts a populated message document into the JSON shape sent to clients.
+// The quoted message (replyTo) is reduced to { _id, sender, snippet, attachmentType, deleted, createdAt }
+// and reactions are aggregated per emoji.
+const formatMessage = (message) => {
+  if (!message) return message;
+  const formatted = message.toObject ? message.toObject() : { ...message };
+
+  const quoted = formatted.replyTo;
+  if (quoted && quoted._id) {
+    const deleted = Boolean(quoted.deletedAt);
+    const content = deleted ? "" : quoted.content || "";
+    formatted.replyTo = {
+      _id: quoted._id,
+      sender: quoted.sender,
+      snippet:
+        content.length > REPLY_SNIPPET_LENGTH
+          ? `${content.slice(0, REPLY_SNIPPET_LENGTH)}…`
+          : content,
+      // Lets clients show "Photo"/"Document" for attachment-only messages
+      attachmentType: deleted ? null : quoted.attachments?.[0]?.type || null,
+      deleted,
+      createdAt: quoted.createdAt,
+    };
+  }
+
+  formatted.reactions = aggregateReactions(formatted.reactions);
+  // Who hid the message ("delete for me") is private to each of those users
+  delete formatted.deletedFor;
+
+  return formatted;
+};
+
+// --- Pagination settings for message history ---
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Returns the requested page size, the default when omitted, or null when invalid
+const parsePageLimit = (value) => {
+  if (value === undefined || value === "") return DEFAULT_PAGE_SIZE;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return null;
+  }
+  return limit;
+};
+
+// Turns a cursor (message ID or timestamp) into { createdAt, _id? }.
+// Returns null when the cursor cannot be resolved inside the given chat.
+const resolveCursor = async (chatId, value, extraFilter = {}) => {
+  if (/^[0-9a-fA-F]{24}$/.test(value)) {
+    const message = await Message.findOne({
+      _id: value,
+      chat: chatId,
+      ...extraFilter,
+    }).select("_id createdAt");
+    return message ? { _id: message._id, createdAt: message.createdAt } : null;
+  }
+  const date = new Date(isNaN(value) ? value : Number(value));
+  return isNaN(date.getTime()) ? null : { createdAt: date };
+};
+
+// Builds a filter for messages strictly before/after a cursor.
+// Ties on createdAt are broken by _id so that no message is skipped or repeated.
+const cursorFilter = (cursor, direction) => {
+  const op = direction === "before" ? "$lt" : "$gt";
+  if (!cursor._id) {
+    return { createdAt: { [op]: cursor.createdAt } };
+  }
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } },
+    ],
+  };
+};
+
+// Fetches one page (plus one extra doc to detect hasMore) using the { chat, createdAt, _id } index
+const findPage = async (filter, sortOrder, limit) => {
+  if (limit <= 0) {
+    return { docs: [], hasMore: Boolean(await Message.exists(filter)) };
+  }
+  const docs = await Message.find(filter)
+    .sort({ createdAt: sortOrder, _id: sortOrder })
+    .limit(limit + 1)
+    .populate(MESSAGE_POPULATE);
+  const hasMore = docs.length > limit;
+  return { docs: hasMore ? docs.slice(0, limit) : docs, hasMore };
+};
+
+// Maps a multer mimetype to the attachment category stored on the message
+const getAttachmentType = (mimeType) => {
+  if (mimeType.startsWith("image/")) return "image";
+  if (mimeType === "application/pdf") return "pdf";
+  return "text";
+};
+
+// Stores one multer temp file through the storage driver and returns its attachment metadata
+const uploadAttachment = async (file) => {
+  const type = getAttachmentType(file.mimetype);
+  const stored = await saveFile(file, { folder: "quicktalk" });
+  return {
+    type,
+    url: stored.url,
+    publicId: stored.publicId,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: stored.size || file.size,
+    ...(type === "image" && { width: stored.width, height: stored.height }),
+  };
+};
+
+// Best-effort removal of stored attachments that never made it into a message
+const discardAttachments = (attachments) =>
+  attachments.forEach((attachment) =>
+    removeFile(attachment.publicId, { mimeType: attachment.mimeType })
+  );
 
 // @desc    Send a new message & Emit via Socket
 // @route   POST /api/message
 // @access  Private
 exports.sendMessage = asyncHandler(async (req, res) => {
-  const { content, chatId } = req.body;
+  const { content, chatId, replyTo } = req.body;
+  const files = req.files || []; // Attachments parsed by uploadMessageAttachments
+
+  // Multer's temp files must never outlive the request (uploaded or rejected)
+  res.on("finish", () => files.forEach(removeTempFile));
 
   // --- Validation ---
-  if (!content || !chatId) {
-    console.log("sendMessage Validation Error: Missing content or chatId");
+  if ((!content?.trim() && files.length === 0) || !chatId) {
+    console.log(
+      "sendMessage Validation Error: Missing content/attachments or chatId"
+    );
     res.status(400);
-    throw new Error("Message content and chatId are required");
+    throw new Error(
+      "Message content (or an attachment) and chatId are required"
+    );
   }
 
   // --- Authorization Check (User must be part of the chat) ---
@@ -31,24 +208,74 @@ exports.sendMessage = asyncHandler(async (req, res) => {
     throw new Error("User is not authorized to send messages to this chat");
   }
 
+  // --- Block Check (no direct messages once either side blocked the other) ---
+  if (!chatExists.isGroupChat) {
+    const otherUserId = chatExists.users.find(
+      (userId) => userId.toString() !== req.user._id.toString()
+    );
+    if (
+      otherUserId &&
+      (await User.isBlockedBetween(req.user._id, otherUserId))
+    ) {
+      res.status(403);
+      throw new Error("You cannot send messages to this user");
+    }
+  }
+
+  // --- Quoted Reply Validation (must quote a message from the same chat) ---
+  if (replyTo) {
+    if (!String(replyTo).match(/^[0-9a-fA-F]{24}$/)) {
+      res.status(400);
+      throw new Error("Invalid replyTo message ID format");
+    }
+    const quotedMessage = await Message.exists({ _id: replyTo, chat: chatId });
+    if (!quotedMessage) {
+      res.status(400);
+      throw new Error(
+        "The message being replied to does not belong to this chat"
+      );
+    }
+  }
+
   const newMessageData = {
     sender: req.user._id,
-    content: content,
+    content: content?.trim() || "", // Caption is optional when attachments are present
     chat: chatId,
+    ...(replyTo && { replyTo }),
   };
 
   try {
+    // --- Attachment Uploads ---
+    // Every upload is awaited, so files already stored can be removed if another fails
+    const uploads = await Promise.allSettled(files.map(uploadAttachment));
+    newMessageData.attachments = uploads
+      .filter((upload) => upload.status === "fulfilled")
+      .map((upload) => upload.value);
+    const failedUpload = uploads.find((upload) => upload.status === "rejected");
+    if (failedUpload) {
+      discardAttachments(newMessageData.attachments);
+      throw failedUpload.reason;
+    }
+
     // --- Database Operations ---
 
-    // 1. Create the message document
-    let message = await Message.create(newMessageData);
+    // 1. Create the message document (without it, the stored files would be orphaned)
+    let message;
+    try {
+      message = await Message.create(newMessageData);
+    } catch (creationError) {
+      discardAttachments(newMessageData.attachments);
+      throw creationError;
+    }
 
     // 2. Populate the message document with necessary details for response and emission
     //    - Populate sender: name, pic, email, status (_id is included by default)
     //    - Populate chat: _id, users (for emission targeting)
     //    - Populate users within the chat object: _id (needed for targeting if emitting individually, although room emission is better)
 
-    message = await message.populate("sender", "name pic email status"); // Populate sender details
+    message = await message.populate("sender", SENDER_FIELDS); // Populate sender details
+
+    message = await message.populate(REPLY_TO_POPULATE); // Quoted message preview (if replying)
 
     message = await message.populate({
       // Populate chat details, specifically the users array
@@ -87,15 +314,26 @@ exports.sendMessage = asyncHandler(async (req, res) => {
 
     // Emit 'message received' to all sockets joined to the targetRoomId
     // Send the fully populated message object needed by the client UI
-    io.to(targetRoomId).emit("message received", message);
+    const messagePayload = formatMessage(message);
+    io.to(targetRoomId).emit("message received", messagePayload);
 
-    // Emit 'latest message update' also to the room for chat list previews
-    // The payload is the same fully populated message object
-    io.to(targetRoomId).emit("latest message update", message);
+    // Emit 'latest message update' to each member's personal room for chat list previews.
+    // The payload is the populated message plus that member's unread count for this chat
+    // (one count per member), so badges update even when the chat itself is not open.
+    // Clients adjust their totalUnread by the change in unreadCount.
+    await Promise.all(
+      message.chat.users.map(async (memberId) => {
+        const unreadCount = await countUnread(chatExists, memberId);
+        io.to(memberId.toString()).emit("latest message update", {
+          ...messagePayload,
+          unreadCount,
+        });
+      })
+    );
 
     // --- API Response ---
     // Send the newly created and populated message back to the original sender
-    res.status(201).json(message);
+    res.status(201).json(messagePayload);
   } catch (error) {
     // Log the detailed error on the server
     console.error("sendMessage Controller Error:", error);
@@ -109,11 +347,12 @@ exports.sendMessage = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Get all messages for a chat
-// @route   GET /api/message/:chatId
+// @desc    Get a page of messages for a chat (cursor-based)
+// @route   GET /api/message/:chatId?limit=&before=&after=&around=
 // @access  Private (Requires logged-in user)
 exports.fetchMessages = asyncHandler(async (req, res) => {
   const { chatId } = req.params;
+  const { before, after, around } = req.query;
 
   // 1. Validate chatId format
   if (!chatId.match(/^[0-9a-fA-F]{24}$/)) {
@@ -121,6 +360,18 @@ exports.fetchMessages = asyncHandler(async (req, res) => {
     throw new Error("Invalid Chat ID format");
   }
 
+  // Only one cursor direction can be used per request
+  if ([before, after, around].filter(Boolean).length > 1) {
+    res.status(400);
+    throw new Error("Use only one of 'before', 'after' or 'around'");
+  }
+
+  const limit = parsePageLimit(req.query.limit);
+  if (!limit) {
+    res.status(400);
+    throw new Error(`'limit' must be a number between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
   // 2. Verify user is part of the chat (Authorization)
   const chat = await Chat.findOne({
     _id: chatId,
@@ -133,17 +384,534 @@ exports.fetchMessages = asyncHandler(async (req, res) => {
     throw new Error("Not authorized to view messages for this chat");
   }
 
+  // 3. Resolve the cursor (message id or timestamp) into a position in the chat
+  let cursor = null;
+  if (around) {
+    // "around" must point at a real message so the client can highlight it
+    cursor = /^[0-9a-fA-F]{24}$/.test(around)
+      ? await resolveCursor(chatId, around, {
+          deletedFor: { $ne: req.user._id },
+        })
+      : null;
+    if (!cursor || !cursor._id) {
+      res.status(404);
+      throw new Error("Message to jump to was not found in this chat");
+    }
+  } else if (before || after) {
+    cursor = await resolveCursor(chatId, before || after);
+    if (!cursor) {
+      res.status(400);
+      throw new Error("Invalid cursor: expected a message ID or a timestamp");
+    }
+  }
+
   try {
-    // 3. Fetch messages for the given chatId
-    const messages = await Message.find({ chat: chatId })
-      .populate("sender", "name pic email status") // Populate necessary sender details
-      // No need to populate 'chat' here, we already know the chatId
-      .sort({ createdAt: 1 }); // Sort by creation time, oldest first
+    // Messages the requester deleted "for me" are never returned
+    const baseQuery = { chat: chatId, deletedFor: { $ne: req.user._id } };
+    let messages;
+    let hasMoreBefore = false;
+    let hasMoreAfter = false;
+
+    if (around) {
+      // Target message plus roughly half a page on either side of it
+      const olderLimit = Math.floor((limit - 1) / 2);
+      const newerLimit = limit - 1 - olderLimit;
+      const [older, newer] = await Promise.all([
+        findPage(
+          { ...baseQuery, ...cursorFilter(cursor, "before") },
+          -1,
+          olderLimit
+        ),
+        findPage(
+          { ...baseQuery, ...cursorFilter(cursor, "after") },
+          1,
+          newerLimit
+        ),
+      ]);
+      const target = await Message.findById(cursor._id).populate(
+        MESSAGE_POPULATE
+      );
+      messages = [...older.docs.reverse(), target, ...newer.docs];
+      hasMoreBefore = older.hasMore;
+      hasMoreAfter = newer.hasMore;
+    } else if (after) {
+      // Newer than the cursor, fetched oldest-first
+      const page = await findPage(
+        { ...baseQuery, ...cursorFilter(cursor, "after") },
+        1,
+        limit
+      );
+      messages = page.docs;
+      hasMoreAfter = page.hasMore;
+      hasMoreBefore = true; // The cursor itself lies before this page
+    } else {
+      // Latest page (no cursor) or older than the cursor, fetched newest-first
+      const filter = before
+        ? { ...baseQuery, ...cursorFilter(cursor, "before") }
+        : baseQuery;
+      const page = await findPage(filter, -1, limit);
+      messages = page.docs.reverse();
+      hasMoreBefore = page.hasMore;
+      hasMoreAfter = Boolean(before); // Cursor lies after this page
+    }
+
+    // A timestamp cursor may not have anything on its far side, so confirm
+    if (messages.length > 0 && (before || after)) {
+      const edge = before ? messages[messages.length - 1] : messages[0];
+      const direction = before ? "after" : "before";
+      const exists = await Message.exists({
+        ...baseQuery,
+        ...cursorFilter(edge, direction),
+      });
+      if (before) hasMoreAfter = Boolean(exists);
+      else hasMoreBefore = Boolean(exists);
+    }
+
+    // Opening the latest page means everything in the chat reached this user
+    if (!before && !after && !around && messages.length > 0) {
+      const delivered = await markChatDelivered({
+        chatId,
+        userId: req.user._id,
+      });
+      if (delivered?.updated > 0 && req.io) {
+        req.io.to(chatId).emit("message delivered", delivered);
+      }
+    }
 
-    res.status(200).json(messages);
+    res.status(200).json({
+      messages: messages.map(formatMessage), // Always ordered oldest-first
+      hasMore: after ? hasMoreAfter : hasMoreBefore,
+      hasMoreBefore,
+      hasMoreAfter,
+      // Pass prevCursor as ?before= to load older, nextCursor as ?after= to load newer
+      prevCursor: messages.length > 0 ? messages[0]._id : null,
+      nextCursor:
+        messages.length > 0 ? messages[messages.length - 1]._id : null,
+    });
   } catch (error) {
     console.error("fetchMessages Controller Error:", error);
     res.status(500); // Default to internal server error for fetch issues
     throw new Error("Failed to fetch messages: " + error.message);
   }
 });
+
+// @desc    Mark a chat as read up to a message (defaults to the latest message)
+// @route   PUT /api/message/:chatId/read (messageId optional in body)
+// @access  Private
+exports.markAsRead = asyncHandler(async (req, res) => {
+  const { chatId } = req.params;
+  const { messageId } = req.body;
+
+  // Errors thrown by the service carry their own statusCode (400/403/404)
+  const receipt = await markChatRead({
+    chatId,
+    userId: req.user._id,
+    messageId,
+  });
+
+  if (!receipt) {
+    // Nothing to read in an empty chat
+    return res.status(200).json({ chatId, messageId: null, updated: 0 });
+  }
+
+  // Let the other members (and the reader's other devices) update their ticks/badges
+  if (req.io) {
+    req.io.to(chatId).to(receipt.userId).emit("message read", receipt);
+  }
+
+  // Return the reader's refreshed badge counts along with the receipt
+  const unread = await getUnreadSummary(req.user._id);
+  res.status(200).json({
+    ...receipt,
+    unreadCount: unread.counts[receipt.chatId] || 0,
+    totalUnread: unread.totalUnread,
+  });
+});
+
+// @desc    Edit a message's content (sender only, within the edit window)
+// @route   PUT /api/message/:messageId
+// @access  Private
+exports.editMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const content = req.body.content?.trim() || "";
+
+  if (!messageId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error("Invalid Message ID format");
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message) {
+    res.status(404);
+    throw new Error("Message not found");
+  }
+  if (message.deletedAt) {
+    res.status(400);
+    throw new Error("Deleted messages cannot be edited");
+  }
+
+  // --- Authorization Check (only the sender can edit) ---
+  if (message.sender.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error("You can only edit your own messages");
+  }
+
+  const editDeadline =
+    message.createdAt.getTime() + EDIT_WINDOW_MINUTES * 60 * 1000;
+  if (Date.now() > editDeadline) {
+    res.status(403);
+    throw new Error(
+      `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`
+    );
+  }
+
+  // The caption of an attachment message may be cleared, plain text may not
+  if (!content && message.attachments.length === 0) {
+    res.status(400);
+    throw new Error("Message content cannot be empty");
+  }
+
+  if (content === message.content) {
+    res.status(400);
+    throw new Error("New content is the same as the current content");
+  }
+
+  // Keep the replaced version before overwriting it
+  const editedAt = new Date();
+  message.revisions.push({ content: message.content, editedAt });
+  message.content = content;
+  message.editedAt = editedAt;
+  await message.save();
+
+  const updatedMessage = await Message.findById(message._id).populate(
+    MESSAGE_POPULATE
+  );
+
+  // --- Socket.IO Emission ---
+  // Chat.latestMessage is a reference, so fetchChats previews pick up the new
+  // text automatically; open clients update through this event.
+  if (req.io) {
+    req.io
+      .to(message.chat.toString())
+      .emit("message edited", formatMessage(updatedMessage));
+  }
+
+  res.status(200).json(formatMessage(updatedMessage));
+});
+
+// @desc    Delete a message for the requester only, or for everyone in the chat
+// @route   DELETE /api/message/:messageId?scope=me|everyone
+// @access  Private ("everyone": sender, or the group admin in group chats)
+exports.deleteMessage = asyncHandler(async (req, res) => {
+  const { messageId } = req.params;
+  const scope = req.query.scope || "me";
+  const userId = req.user._id;
+
+  if (!messageId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error("Invalid Message ID format");
+  }
+  if (!["me", "everyone"].includes(scope)) {
+    res.status(400);
+    throw new Error("Delete scope must be 'me' or 'everyone'");
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message) {
+    res.status(404);
+    throw new Error("Message not found");
+  }
+
+  // --- Authorization Check (User must be part of the chat) ---
+  const chat = await Chat.findOne({
+    _id: message.chat,
+    users: { $elemMatch: { $eq: userId } },
+  });
+  if (!chat) {
+    res.status(403);
+    throw new Error("Not authorized to delete messages in this chat");
+  }
+
+  // --- Delete for me: just hide it from the requester ---
+  if (scope === "me") {
+    await Message.updateOne(
+      { _id: messageId },
+      { $addToSet: { deletedFor: userId } },
+      { timestamps: false }
+    );
+    return res
+      .status(200)
+      .json({ messageId, chatId: chat._id, scope, deleted: true });
+  }
+
+  // --- Delete for everyone: sender or group admin only ---
+  const isSender = message.sender.toString() === userId.toString();
+  const isGroupAdmin =
+    chat.isGroupChat && chat.groupAdmin?.toString() === userId.toString();
+  if (!isSender && !isGroupAdmin) {
+    res.status(403);
+    throw new Error(
+      "Only the sender or the group admin can delete this message for everyone"
+    );
+  }
+  if (message.deletedAt) {
+    res.status(400);
+    throw new Error("Message has already been deleted");
+  }
+
+  // Stored files go with the message (best-effort, never blocks the delete)
+  message.attachments.forEach((attachment) =>
+    removeFile(attachment.publicId, { mimeType: attachment.mimeType })
+  );
+
+  // Replace the message with a tombstone (content and history are wiped)
+  message.content = "";
+  message.revisions = [];
+  message.reactions = [];
+  message.attachments = [];
+  message.editedAt = null;
+  message.deletedAt = new Date();
+  message.deletedBy = userId;
+  await message.save();
+
+  // If the tombstone was the chat preview, fall back to the newest live message
+  let latestMessage;
+  if (chat.latestMessage?.toString() === message._id.toString()) {
+    latestMessage = await Message.findOne({ chat: chat._id, deletedAt: null })
+      .sort({ createdAt: -1, _id: -1 })
+      .select("-deletedFor") // Private to the users who hid it
+      .populate("sender", SENDER_FIELDS);
+    await Chat.updateOne(
+      { _id: chat._id },
+      latestMessage
+        ? { $set: { latestMessage: latestMessage._id } }
+        : { $unset: { latestMessage: 1 } },
+      { timestamps: false } // Keep the chat's position in the list
+    );
+  }
+
+  const payload = {
+    messageId: message._id,
+    chatId: chat._id.toString(),
+    deletedAt: message.deletedAt,
+    deletedBy: userId,
+    // Only present when the chat preview changed (null = no messages left)
+    ...(latestMessage !== undefined && { latestMessage }),
+  };
+
+  // --- Socket.IO Emission ---
+  if (req.io) {
+    req.io.to(payload.chatId).emit("message deleted", payload);
+  }
+
+  res.status(200).json({ ...payload, scope, deleted: true });
+});
+
+// Shared by addReaction/removeReaction: validates input and loads the message
+// the requester is allowed to react to (member of its chat, not deleted)
+const loadReactableMessage = async (req, res) => {
+  const { messageId } = req.params;
+  const emoji = (req.body.emoji || req.query.emoji || "").trim();
+
+  if (!messageId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error("Invalid Message ID format");
+  }
+  if (!emoji || emoji.length > MAX_EMOJI_LENGTH || !EMOJI_REGEX.test(emoji)) {
+    res.status(400);
+    throw new Error("A valid emoji is required");
+  }
+
+  const message = await Message.findById(messageId).select("chat deletedAt");
+  if (!message) {
+    res.status(404);
+    throw new Error("Message not found");
+  }
+  if (message.deletedAt) {
+    res.status(400);
+    throw new Error("Cannot react to a deleted message");
+  }
+
+  // --- Authorization Check (User must be part of the chat) ---
+  const isMember = await Chat.exists({
+    _id: message.chat,
+    users: { $elemMatch: { $eq: req.user._id } },
+  });
+  if (!isMember) {
+    res.status(403);
+    throw new Error("Not authorized to react to messages in this chat");
+  }
+
+  return { message, emoji };
+};
+
+// Re-reads the message's reactions, broadcasts them and sends them back
+const sendReactionUpdate = async (req, res, message) => {
+  const updated = await Message.findById(message._id)
+    .select("chat reactions")
+    .populate("reactions.user", "name pic");
+
+  const payload = {
+    messageId: updated._id,
+    chatId: updated.chat.toString(),
+    reactions: aggregateReactions(updated.toObject().reactions),
+  };
+
+  // --- Socket.IO Emission (same chat room used by sendMessage) ---
+  if (req.io) {
+    req.io.to(payload.chatId).emit("reaction updated", payload);
+  }
+
+  res.status(200).json(payload);
+};
+
+// @desc    React to a message with an emoji
+// @route   POST /api/message/:messageId/reactions (emoji in body)
+// @access  Private
+exports.addReaction = asyncHandler(async (req, res) => {
+  const { message, emoji } = await loadReactableMessage(req, res);
+  const userId = req.user._id;
+
+  // Only push when this user hasn't used this emoji yet (atomic, so no duplicates)
+  await Message.updateOne(
+    {
+      _id: message._id,
+      reactions: { $not: { $elemMatch: { user: userId, emoji } } },
+    },
+    { $push: { reactions: { emoji, user: userId, at: new Date() } } },
+    { timestamps: false }
+  );
+
+  await sendReactionUpdate(req, res, message);
+});
+
+// @desc    Remove the requester's reaction from a message
+// @route   DELETE /api/message/:messageId/reactions?emoji=
+// @access  Private
+exports.removeReaction = asyncHandler(async (req, res) => {
+  const { message, emoji } = await loadReactableMessage(req, res);
+
+  await Message.updateOne(
+    { _id: message._id },
+    { $pull: { reactions: { user: req.user._id, emoji } } },
+    { timestamps: false }
+  );
+
+  await sendReactionUpdate(req, res, message);
+});
+
+// --- Search settings ---
+const SEARCH_PAGE_SIZE = 20;
+const SNIPPET_RADIUS = 60; // Characters kept on each side of the first match
+
+// Cuts the text around the first occurrence of any search term
+const buildSnippet = (content, query) => {
+  const lowerContent = content.toLowerCase();
+  const terms = query
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.replace(/^"|"$/g, "").replace(/^-/, ""))
+    .filter(Boolean);
+  const matchIndex = terms.reduce((found, term) => {
+    const index = lowerContent.indexOf(term);
+    return index !== -1 && (found === -1 || index < found) ? index : found;
+  }, -1);
+
+  const anchor = matchIndex === -1 ? 0 : matchIndex;
+  const start = Math.max(0, anchor - SNIPPET_RADIUS);
+  const end = Math.min(content.length, anchor + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? "…" : ""}${content.slice(start, end)}${
+    end < content.length ? "…" : ""
+  }`;
+};
+
+// @desc    Search message content across all chats the requester belongs to
+// @route   GET /api/message/search?q=&chatId=&senderId=&from=&to=&page=&limit=
+// @access  Private
+exports.searchMessages = asyncHandler(async (req, res) => {
+  const query = req.query.q?.trim();
+  const { chatId, senderId, from, to } = req.query;
+
+  // --- Validation ---
+  if (!query) {
+    res.status(400);
+    throw new Error("Search query 'q' is required");
+  }
+  if (chatId && !chatId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error("Invalid Chat ID format");
+  }
+  if (senderId && !senderId.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400);
+    throw new Error("Invalid Sender ID format");
+  }
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    res.status(400);
+    throw new Error("'from' and 'to' must be valid dates");
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE)
+  );
+
+  // --- Authorization (same membership rule as fetchMessages) ---
+  const memberChats = await Chat.find({
+    users: { $elemMatch: { $eq: req.user._id } },
+    ...(chatId && { _id: chatId }),
+  }).select("_id");
+  if (chatId && memberChats.length === 0) {
+    res.status(403);
+    throw new Error("Not authorized to search messages in this chat");
+  }
+
+  const filter = {
+    $text: { $search: query },
+    chat: { $in: memberChats.map((chat) => chat._id) },
+    deletedAt: null, // Tombstones have no content left to match
+    deletedFor: { $ne: req.user._id },
+    ...(senderId && { sender: senderId }),
+    ...((fromDate || toDate) && {
+      createdAt: {
+        ...(fromDate && { $gte: fromDate }),
+        ...(toDate && { $lte: toDate }),
+      },
+    }),
+  };
+
+  try {
+    const [total, hits] = await Promise.all([
+      Message.countDocuments(filter),
+      Message.find(filter, { score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("content sender chat createdAt")
+        .populate("sender", "name pic")
+        .populate("chat", "chatName isGroupChat groupPic"),
+    ]);
+
+    const results = hits.map((hit) => ({
+      _id: hit._id,
+      chat: hit.chat,
+      sender: hit.sender,
+      snippet: buildSnippet(hit.content, query),
+      createdAt: hit.createdAt,
+    }));
+
+    res.status(200).json({
+      results,
+      page,
+      limit,
+      total,
+      hasMore: page * limit < total,
+    });
+  } catch (error) {
+    console.error("searchMessages Controller Error:", error);
+    res.status(500);
+    throw new Error("Failed to search messages: " + error.message);
+  }
+});
@@ -2,6 +2,31 @@
 const jwt = require("jsonwebtoken");
 const asyncHandler = require("express-async-handler");
 const User = require("../models/User");
+const { findActiveSession } = require("../services/tokenService");
+
+// Verifies an access token and loads its user and session.
+// Shared by `protect` and the Socket.IO handshake. Throws on any failure.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens must belong to a live session (logout/revocation ends them immediately)
+  const session = await findActiveSession(decoded.sid);
+  if (!session || session.user.toString() !== decoded.id) {
+    throw new Error("Session has been revoked or has expired");
+  }
+
+  const user = await User.findById(decoded.id).select("-password");
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  // Tokens issued before the last password change are no longer valid
+  if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+    throw new Error("Token was issued before the password was changed");
+  }
+
+  return { user, session };
+};
 
 const protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -15,25 +40,18 @@ const protect = asyncHandler(async (req, res, next) => {
       // Get token from header (Bearer <token>)
       token = req.headers.authorization.split(" ")[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from the token payload (id)
-      // Attach user to the request object, excluding the password
-      req.user = await User.findById(decoded.id).select("-password");
-
-      if (!req.user) {
-        // If user associated with token no longer exists
-        res.status(401);
-        throw new Error("Not authorized, user not found");
-      }
-
-      next(); // Proceed to the next middleware/route handler
+      // Verify token, session and user
+      // Attach user (excluding the password) and session ID to the request object
+      const { user, session } = await verifyAccessToken(token);
+      req.user = user;
+      req.sessionId = session._id;
     } catch (error) {
       console.error("Token verification failed:", error.message);
       res.status(401); // Unauthorized
       throw new Error("Not authorized, token failed");
     }
+
+    return next(); // Proceed to the next middleware/route handler
   }
 
   if (!token) {
@@ -42,4 +60,26 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
-module.exports = { protect };
+// Actions unverified accounts may not perform, configurable with a comma-separated
+// UNVERIFIED_BLOCKED_ACTIONS list (e.g. "createGroup,addToGroup,startChat")
+const UNVERIFIED_BLOCKED_ACTIONS = (
+  process.env.UNVERIFIED_BLOCKED_ACTIONS ?? "createGroup"
+)
+  .split(",")
+  .map((action) => action.trim())
+  .filter(Boolean);
+
+// Use after protect: rejects the action when it is blocked for unverified emails
+const requireVerifiedEmail = (action) =>
+  asyncHandler(async (req, res, next) => {
+    if (
+      !req.user.emailVerified &&
+      UNVERIFIED_BLOCKED_ACTIONS.includes(action)
+    ) {
+      res.status(403);
+      throw new Error("Please verify your email address to do this");
+    }
+    next();
+  });
+
+module.exports = { protect, requireVerifiedEmail, verifyAccessToken };
@@ -0,0 +1,89 @@
+// server/middleware/rateLimitMiddleware.js
+const rateLimit = require("express-rate-limit");
+
+// Builds a limiter that answers with 429, a Retry-After header and the same
+// { message } body shape as errorHandler. Counters live in memory (per process).
+const createLimiter = ({ windowMinutes, max, message, ...options }) =>
+  rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    max,
+    standardHeaders: true, // RateLimit-* headers plus Retry-After on 429
+    legacyHeaders: false,
+    message: { message },
+    ...options,
+  });
+
+// Normalized email from the request body, so "A@x.com " and "a@x.com" share a counter
+const emailKey = (req) => {
+  const email = req.body?.email;
+  return typeof email === "string" && email.trim()
+    ? `email:${email.trim().toLowerCase()}`
+    : `ip:${req.ip}`;
+};
+
+// Per authenticated user (falls back to the IP when used before protect)
+const userKey = (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+// --- Authentication ---
+// Login: per IP, and per account (only failed attempts count against an account).
+// Repeated failures additionally lock the account (see User.registerFailedLogin).
+const loginIpLimiter = createLimiter({
+  windowMinutes: 15,
+  max: 20,
+  message: "Too many login attempts from this IP, please try again later.",
+});
+
+const loginAccountLimiter = createLimiter({
+  windowMinutes: 15,
+  max: 10,
+  keyGenerator: emailKey,
+  skipSuccessfulRequests: true,
+  message: "Too many login attempts for this account, please try again later.",
+});
+
+const registerLimiter = createLimiter({
+  windowMinutes: 60,
+  max: 5,
+  message: "Too many accounts created from this IP, please try again later.",
+});
+
+// Password reset: forgot-password and reset-password share the IP budget
+const passwordResetIpLimiter = createLimiter({
+  windowMinutes: 15,
+  max: 10,
+  message:
+    "Too many password reset requests from this IP, please try again later.",
+});
+
+const passwordResetAccountLimiter = createLimiter({
+  windowMinutes: 60,
+  max: 3,
+  keyGenerator: emailKey,
+  message:
+    "Too many password reset requests for this account, please try again later.",
+});
+
+// --- General API usage (must run after protect) ---
+const sendMessageLimiter = createLimiter({
+  windowMinutes: 1,
+  max: 60,
+  keyGenerator: userKey,
+  message: "You are sending messages too quickly, please slow down.",
+});
+
+const searchUsersLimiter = createLimiter({
+  windowMinutes: 1,
+  max: 30,
+  keyGenerator: userKey,
+  message: "Too many searches, please try again in a moment.",
+});
+
+module.exports = {
+  loginIpLimiter,
+  loginAccountLimiter,
+  registerLimiter,
+  passwordResetIpLimiter,
+  passwordResetAccountLimiter,
+  sendMessageLimiter,
+  searchUsersLimiter,
+};
@@ -1,26 +1,7 @@
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const path = require('path');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// Setup cloudinary storage
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'neumochat_profile_pics',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif'], 
-    transformation: [{ width: 500, height: 500, crop: 'limit' }], // Resize to max 500x500
-    // Use filename as public_id for easier management
-    public_id: (req, file) => `user_${req.user._id}_${Date.now()}`
-  }
-});
+const { upload: messageUpload, storage: tempStorage } = require('../config/multerConfig');
+const { saveFile } = require('../services/storage');
 
 // File filter to ensure only images are uploaded
 const fileFilter = (req, file, cb) => {
@@ -37,19 +18,20 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-// Setup multer upload for profile pics
+// Setup multer upload for profile/group pics (temp file, then handed to the storage driver)
 const upload = multer({
-  storage: storage,
+  storage: tempStorage,
   limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
   fileFilter: fileFilter
 });
 
-// Middleware that handles file upload errors
-const uploadProfilePic = (req, res, next) => {
+// Builds a middleware that accepts a single picture in `fieldName` and stores it
+// through the storage driver. On success req.file.url / req.file.publicId are set.
+const uploadPicture = (fieldName, getStorageOptions) => (req, res, next) => {
   // Use multer's upload.single middleware, but wrap it to handle errors
-  const uploadSingle = upload.single('profilePic');
-  
-  uploadSingle(req, res, (err) => {
+  const uploadSingle = upload.single(fieldName);
+
+  uploadSingle(req, res, async (err) => {
     if (err) {
       if (err instanceof multer.MulterError) {
         // A Multer error occurred (e.g., file size exceeded)
@@ -62,9 +44,67 @@ const uploadProfilePic = (req, res, next) => {
         return res.status(400).json({ message: err.message });
       }
     }
-    // If everything went well, move to the next middleware
+
+    // No file sent: nothing to store, let the controller handle the rest
+    if (!req.file) return next();
+
+    try {
+      const stored = await saveFile(req.file, {
+        ...getStorageOptions(req),
+        maxWidth: 500, // Resize to max 500x500 (where the driver supports it)
+        maxHeight: 500,
+      });
+      req.file.url = stored.url;
+      req.file.publicId = stored.publicId;
+      next();
+    } catch (storageError) {
+      console.error(`[Upload] Failed to store ${fieldName}:`, storageError);
+      return res.status(500).json({ message: 'Failed to store the uploaded image.' });
+    }
+  });
+};
+
+// Profile picture upload (field: profilePic)
+const uploadProfilePic = uploadPicture('profilePic', (req) => ({
+  folder: 'neumochat_profile_pics',
+  // Use user id + timestamp as public_id for easier management
+  publicId: `user_${req.user._id}_${Date.now()}`,
+}));
+
+// Group picture upload (field: groupPic). chatId comes from the request body, so it is
+// only used in the name when it is a plain ObjectId.
+const OBJECT_ID_REGEX = /^[a-f0-9]{24}$/i;
+
+const uploadGroupPic = uploadPicture('groupPic', (req) => ({
+  folder: 'neumochat_group_pics',
+  publicId: `group_${
+    OBJECT_ID_REGEX.test(req.body.chatId) ? req.body.chatId : 'unknown'
+  }_${Date.now()}`,
+}));
+
+// Middleware for chat message attachments (images, PDFs, text files)
+// Files land in a temp directory; the message controller stores them through the storage driver.
+const MAX_ATTACHMENTS = 5;
+
+const uploadMessageAttachments = (req, res, next) => {
+  const uploadArray = messageUpload.array('attachments', MAX_ATTACHMENTS);
+
+  uploadArray(req, res, (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({ message: 'File too large. Maximum size is 10MB.' });
+        }
+        if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({ message: `You can attach up to ${MAX_ATTACHMENTS} files per message.` });
+        }
+        return res.status(400).json({ message: `Upload error: ${err.message}` });
+      } else {
+        return res.status(400).json({ message: err.message });
+      }
+    }
     next();
   });
 };
 
-module.exports = { uploadProfilePic }; 
\ No newline at end of file
+module.exports = { uploadProfilePic, uploadGroupPic, uploadMessageAttachments };
@@ -37,6 +37,27 @@ const chatSchema = new mongoose.Schema(
       type: String,
       default: "", // Default empty string for group profile picture URL
     },
+    readState: [
+      // Last-read position of each member (maintained by receiptService)
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        lastReadMessage: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Message",
+        },
+        lastReadMessageAt: {
+          type: Date, // createdAt of lastReadMessage, used for unread comparisons
+        },
+        readAt: {
+          type: Date,
+        },
+      },
+    ],
   },
   {
     timestamps: true, // Adds createdAt and updatedAt automatically
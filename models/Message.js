@@ -1,6 +1,42 @@
 // server/models/Message.js
 const mongoose = require("mongoose");
 
+// Sub-document recording when a recipient received or read a message
+const receiptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Sub-document describing an uploaded file
+const attachmentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["image", "pdf", "text"],
+      required: true,
+    },
+    url: { type: String, required: true },
+    publicId: { type: String }, // Storage identifier, used to remove the file later
+    originalName: { type: String, trim: true },
+    mimeType: { type: String },
+    size: { type: Number }, // Bytes
+    // Only set for images
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     sender: {
@@ -11,19 +47,74 @@ const messageSchema = new mongoose.Schema(
     content: {
       type: String,
       trim: true,
-      required: [true, "Message content cannot be empty"],
+      // Optional caption when the message carries attachments.
+      // Tombstones of messages deleted for everyone keep an empty content.
+      required: [
+        function () {
+          return !this.deletedAt && !(this.attachments?.length > 0);
+        },
+        "Message content cannot be empty",
+      ],
     },
     chat: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Chat", // Reference to the Chat model
       required: true,
     },
-    // readBy: [ // Optional: For read receipts later
-    //   {
-    //     type: mongoose.Schema.Types.ObjectId,
-    //     ref: 'User',
-    //   },
-    // ],
+    // Uploaded files (images, PDFs, text files)
+    attachments: [attachmentSchema],
+    // Message this one quotes/replies to (always from the same chat)
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // Set when the sender edits the message (null = never edited)
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Previous versions of the content, oldest first
+    revisions: [
+      {
+        _id: false,
+        content: { type: String },
+        editedAt: { type: Date }, // When this version was replaced
+      },
+    ],
+    // Emoji reactions; a user can use each emoji at most once per message
+    reactions: [
+      {
+        _id: false,
+        emoji: { type: String, required: true },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Users who chose "delete for me" (message is hidden from them only)
+    deletedFor: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Set when the message was deleted for everyone (the document stays as a tombstone)
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Per-recipient delivery receipts (sender is never included)
+    deliveredTo: [receiptSchema],
+    // Per-recipient read receipts (sender is never included)
+    readBy: [receiptSchema],
   },
   {
     timestamps: true, // Adds createdAt and updatedAt automatically
@@ -32,8 +123,15 @@ const messageSchema = new mongoose.Schema(
 
 // Optional: Index on chat field for faster retrieval of messages for a specific chat
 messageSchema.index({ chat: 1 });
-// Optional: Compound index for chat and timestamp for efficient sorting/filtering
-messageSchema.index({ chat: 1, createdAt: -1 });
+// Compound index for chat and timestamp for efficient sorting/filtering.
+// _id is the tie-breaker of fetchMessages' cursor sort ({ createdAt, _id }), which
+// must be covered by the index to avoid in-memory sorts. It still serves every query
+// the old { chat: 1, createdAt: -1 } index did; existing deployments can drop that one:
+//   db.messages.dropIndex("chat_1_createdAt_-1")
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
+
+// Text index for message search (GET /api/message/search)
+messageSchema.index({ content: "text" });
 
 const Message = mongoose.model("Message", messageSchema);
 
@@ -0,0 +1,62 @@
+// server/models/Session.js
+const mongoose = require("mongoose");
+
+// One document per login: the refresh-token "family" issued to a single device.
+// Every refresh rotates tokenHash; presenting an already rotated token again means it
+// was stolen or replayed, and the whole family is revoked (except for concurrent
+// refreshes right after a rotation, see tokenService.rotateSession).
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String, // SHA-256 of the current refresh token secret
+      required: true,
+    },
+    previousTokenHashes: {
+      type: [String], // Rotated-out secrets, kept to detect reuse
+      default: [],
+    },
+    // Device information captured at login, shown in the sessions list
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    rotatedAt: {
+      type: Date, // When tokenHash last changed (start of the reuse grace window)
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String, // "logout" | "reuse" | "password-reset" | "user-revoked" ...
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt automatically
+  }
+);
+
+sessionSchema.index({ user: 1 });
+// MongoDB removes sessions automatically once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
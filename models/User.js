@@ -1,6 +1,68 @@
 // server/models/User.js
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+
+const PRIVACY_LEVELS = ["everyone", "contacts", "nobody"];
+
+// Usernames (@handles): 3-30 lowercase letters, digits, "." or "_", not starting or
+// ending with a separator and without two separators in a row
+const USERNAME_REGEX = /^(?![._])(?!.*[._]{2})[a-z0-9._]{3,30}(?<![._])$/;
+const RESERVED_USERNAMES = new Set([
+  "admin",
+  "administrator",
+  "api",
+  "everyone",
+  "help",
+  "here",
+  "me",
+  "moderator",
+  "neumochat",
+  "null",
+  "official",
+  "quicktalk",
+  "root",
+  "security",
+  "settings",
+  "staff",
+  "support",
+  "system",
+  "undefined",
+]);
+
+// Lowercases and strips a leading "@" so "@Alice" and "alice" are the same handle
+const normalizeUsername = (value) =>
+  String(value || "")
+    .trim()
+    .replace(/^@/, "")
+    .toLowerCase();
+
+// @returns An error message, or null when the (normalized) username is acceptable
+const validateUsername = (username) => {
+  if (!USERNAME_REGEX.test(username)) {
+    return "Username must be 3-30 characters: letters, numbers, '.' or '_' (not at the start or end, and not twice in a row)";
+  }
+  if (RESERVED_USERNAMES.has(username)) {
+    return "This username is reserved";
+  }
+  return null;
+};
+
+// Two-factor recovery codes: "xxxxx-xxxxx", case and dash insensitive
+const RECOVERY_CODE_COUNT = 10;
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Login lockout: after LOGIN_MAX_ATTEMPTS consecutive failures the account is locked,
+// doubling the lock time with every further failure (capped at LOGIN_LOCK_MAX_MINUTES)
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCK_BASE_MINUTES =
+  Number(process.env.LOGIN_LOCK_BASE_MINUTES) || 1;
+const LOGIN_LOCK_MAX_MINUTES =
+  Number(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60;
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,6 +82,18 @@ const userSchema = new mongoose.Schema(
         "Please provide a valid email address",
       ],
     },
+    // Optional unique @handle, stored normalized (lowercase, no "@") so that
+    // uniqueness and lookups are case-insensitive
+    username: {
+      type: String,
+      unique: true,
+      sparse: true, // Accounts without a username don't collide
+      set: (value) => (value ? normalizeUsername(value) : undefined),
+      validate: {
+        validator: (value) => !validateUsername(value),
+        message: (props) => validateUsername(props.value),
+      },
+    },
     password: {
       type: String,
       required: [true, "Please provide a password"],
@@ -37,14 +111,86 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [150, "Status cannot be more than 150 characters"]
     },
-    // isOnline: { type: Boolean, default: false },
-    // lastSeen: { type: Date },
+    // Email verification (new accounts and email changes must confirm their address)
+    emailVerified: { type: Boolean, default: false },
+    emailVerificationToken: { type: String, select: false },
+    emailVerificationExpires: { type: Date, select: false },
+    // Password reset (only the SHA-256 hash of the emailed token is stored)
+    passwordResetToken: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+    // Two-factor authentication (TOTP). The pending secret is only promoted once the
+    // first code confirms the authenticator app; recovery codes are stored as hashes.
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, select: false },
+    twoFactorPendingSecret: { type: String, select: false },
+    twoFactorLastUsedStep: { type: Number, select: false }, // Rejects code replays
+    twoFactorRecoveryCodes: { type: [String], select: false },
+    // Bumped on every password change; access tokens carry it (see generateToken)
+    tokenVersion: { type: Number, default: 0 },
+    passwordChangedAt: { type: Date },
+    // Login brute-force protection (consecutive failures and current lock)
+    failedLoginAttempts: { type: Number, default: 0, select: false },
+    lockUntil: { type: Date, select: false },
+    // Account deletion: scheduled with a grace period, then the account is anonymized
+    // in place (services/accountService.js) and deletedAt is set
+    deletionScheduledFor: { type: Date },
+    deletedAt: { type: Date },
+    // Users this user has blocked (private: never populated into other payloads)
+    blockedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      select: false,
+    },
+    // Presence: online status is tracked in memory (services/presenceService.js),
+    // lastSeen is written when the user's last device disconnects
+    lastSeen: { type: Date },
+    // Who may see the online status and last seen time, and find the user in search
+    privacy: {
+      onlineStatus: {
+        type: String,
+        enum: PRIVACY_LEVELS,
+        default: "everyone",
+      },
+      lastSeen: {
+        type: String,
+        enum: PRIVACY_LEVELS,
+        default: "everyone",
+      },
+      discoverable: {
+        type: String,
+        enum: PRIVACY_LEVELS,
+        default: "everyone",
+      },
+      // Leave the email address out of payloads sent to other users
+      hideEmail: { type: Boolean, default: false },
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt fields automatically
   }
 );
 
+// Serialization: account settings (privacy, 2FA status) and hidden emails are only sent
+// to their owner, and lastSeen is dropped where presenceService.applyLastSeenPrivacy
+// decided the viewer may not see it. Controllers opt in per document via doc.$locals.
+const hidePrivateFields = (doc, ret) => {
+  if (!doc.$locals?.showAccountSettings) {
+    // Needs privacy.hideEmail selected wherever email is (e.g. message senders)
+    if (doc.privacy?.hideEmail) delete ret.email;
+    delete ret.privacy;
+    delete ret.twoFactorEnabled;
+    // Account state, not for other members (populateChat uses an exclusion projection)
+    delete ret.emailVerified;
+    delete ret.passwordChangedAt;
+    delete ret.deletionScheduledFor;
+    delete ret.deletedAt;
+  }
+  if (doc.$locals?.hideLastSeen) delete ret.lastSeen;
+  delete ret.tokenVersion; // Internal to token validation
+  return ret;
+};
+userSchema.set("toJSON", { transform: hidePrivateFields });
+userSchema.set("toObject", { transform: hidePrivateFields });
+
 // Middleware: Hash password before saving the user document
 userSchema.pre("save", async function (next) {
   // Only run this function if password was actually modified
@@ -54,6 +200,12 @@ userSchema.pre("save", async function (next) {
   const salt = await bcrypt.genSalt(12);
   this.password = await bcrypt.hash(this.password, salt);
 
+  // A changed password (not the first one) invalidates previously issued tokens
+  if (!this.isNew) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    this.passwordChangedAt = new Date();
+  }
+
   next();
 });
 
@@ -63,6 +215,110 @@ userSchema.methods.matchPassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method: Create a password reset token (valid for 10 minutes)
+// Returns the plain token for the email; only its hash is kept on the document.
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.passwordResetExpires = Date.now() + 10 * 60 * 1000;
+
+  return resetToken;
+};
+
+// Instance method: Create an email verification token (valid for 24 hours)
+// Returns the plain token for the email; only its hash is kept on the document.
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+// Instance method: Seconds until a login lock expires (0 when not locked)
+// Needs `lockUntil` to be selected
+userSchema.methods.getLockRemainingSeconds = function () {
+  if (!this.lockUntil) return 0;
+  return Math.max(0, Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000));
+};
+
+// Instance method: Record a failed login, locking the account with exponential
+// backoff once the limit is reached. Returns the lock time in seconds (0 if not locked).
+userSchema.methods.registerFailedLogin = async function () {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, timestamps: false, projection: "+failedLoginAttempts" }
+  );
+  const failures = updated?.failedLoginAttempts || 0;
+  if (failures < LOGIN_MAX_ATTEMPTS) return 0;
+
+  const lockMinutes = Math.min(
+    LOGIN_LOCK_BASE_MINUTES * 2 ** (failures - LOGIN_MAX_ATTEMPTS),
+    LOGIN_LOCK_MAX_MINUTES
+  );
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) } },
+    { timestamps: false }
+  );
+  return lockMinutes * 60;
+};
+
+// Instance method: Clear the failure counter after a successful login
+userSchema.methods.resetLoginAttempts = async function () {
+  if (!this.failedLoginAttempts && !this.lockUntil) return;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } },
+    { timestamps: false }
+  );
+};
+
+// Instance method: Replace the recovery codes with RECOVERY_CODE_COUNT new ones.
+// Returns the plain codes (shown once); only their hashes are kept on the document.
+userSchema.methods.createRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Instance method: Consume a recovery code. Returns true when it was valid and unused.
+userSchema.methods.useRecoveryCode = async function (code) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: hashRecoveryCode(code) },
+    { $pull: { twoFactorRecoveryCodes: hashRecoveryCode(code) } },
+    { timestamps: false }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static: true when either user has blocked the other
+userSchema.statics.isBlockedBetween = async function (userId, otherUserId) {
+  return Boolean(
+    await this.exists({
+      $or: [
+        { _id: userId, blockedUsers: otherUserId },
+        { _id: otherUserId, blockedUsers: userId },
+      ],
+    })
+  );
+};
+
 const User = mongoose.model("User", userSchema);
 
 module.exports = User;
+module.exports.PRIVACY_LEVELS = PRIVACY_LEVELS;
+module.exports.normalizeUsername = normalizeUsername;
+module.exports.validateUsername = validateUsername;
@@ -3,28 +3,102 @@ const express = require("express");
 const {
   registerUser,
   loginUser,
+  loginTwoFactor,
   getMe,
   searchUsers,
   updateProfile,
+  updatePrivacy,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshAccessToken,
+  logoutUser,
+  getSessions,
+  revokeUserSession,
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  exportAccount,
+  deleteAccount,
+  checkUsernameAvailability,
 } = require("../controllers/authController");
 const { protect } = require("../middleware/authMiddleware");
 const { uploadProfilePic } = require("../middleware/uploadMiddleware");
+const {
+  loginIpLimiter,
+  loginAccountLimiter,
+  registerLimiter,
+  passwordResetIpLimiter,
+  passwordResetAccountLimiter,
+  searchUsersLimiter,
+} = require("../middleware/rateLimitMiddleware");
 
 const router = express.Router();
 
-router.post("/register", registerUser);
-router.post("/login", loginUser);
+// Public auth endpoints are throttled per IP and, where an email is given, per account
+router.post("/register", registerLimiter, registerUser);
+router.get(
+  "/username-available",
+  searchUsersLimiter,
+  checkUsernameAvailability
+);
+router.post("/login", loginIpLimiter, loginAccountLimiter, loginUser);
+router.post("/login/2fa", loginIpLimiter, loginTwoFactor);
+router.post("/refresh", refreshAccessToken);
+router.post("/logout", logoutUser);
+router.post(
+  "/forgot-password",
+  passwordResetIpLimiter,
+  passwordResetAccountLimiter,
+  forgotPassword
+);
+router.post("/reset-password/:token", passwordResetIpLimiter, resetPassword);
+router.post("/verify-email/:token", verifyEmail);
+router.post("/resend-verification", protect, resendVerification);
 // Example of a protected route:
 
 // User search route - Protected
 // Note: It's common to put user-related routes in a separate file (e.g., userRoutes.js)
 // and mount it like app.use('/api/users', userRoutes), but for now, keeping it here.
 // The route will be GET /api/auth/user?search=...
-router.route("/user").get(protect, searchUsers);
+router.route("/user").get(protect, searchUsersLimiter, searchUsers);
 
 // Update profile route - Protected and uses upload middleware
 router.route("/update-profile").put(protect, uploadProfilePic, updateProfile);
 
+// Change password (requires the current one) - Protected
+router.put("/change-password", protect, changePassword);
+
+// Presence privacy settings (online status / last seen) - Protected
+router.put("/privacy", protect, updatePrivacy);
+
+// Session (device) management - Protected
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions/:id", protect, revokeUserSession);
+
+// Two-factor authentication (TOTP) - Protected
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/confirm", protect, confirmTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+router.post("/2fa/disable", protect, disableTwoFactor);
+
+// Personal data export and account deletion - Protected
+router.get("/account/export", protect, exportAccount);
+router.delete("/account", protect, deleteAccount);
+
+// Blocking - Protected
+router.get("/blocked", protect, getBlockedUsers);
+router
+  .route("/block/:userId")
+  .post(protect, blockUser)
+  .delete(protect, unblockUser);
+
 // router.get('/me', protect, getMe); // Add this line later when testing middleware
 
 module.exports = router;
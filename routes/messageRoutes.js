@@ -4,15 +4,53 @@ const express = require("express");
 const {
   sendMessage,
   fetchMessages,
+  markAsRead,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  searchMessages,
 } = require("../controllers/messageController");
-const { protect } = require("../middleware/authMiddleware");
+const {
+  protect,
+  requireVerifiedEmail,
+} = require("../middleware/authMiddleware");
+const { uploadMessageAttachments } = require("../middleware/uploadMiddleware");
+const { sendMessageLimiter } = require("../middleware/rateLimitMiddleware");
 
 const router = express.Router();
 
-// Route to send a new message
-router.route("/").post(protect, sendMessage);
+// Route to send a new message (JSON, or multipart with up to 5 'attachments')
+// Throttled before the upload runs, so rejected requests never store files
+router
+  .route("/")
+  .post(
+    protect,
+    sendMessageLimiter,
+    requireVerifiedEmail("sendMessage"),
+    uploadMessageAttachments,
+    sendMessage
+  );
+
+// Route to search message content across the user's chats (must precede /:chatId)
+router.route("/search").get(protect, searchMessages);
 
 // Route to fetch all messages for a specific chat
 router.route("/:chatId").get(protect, fetchMessages); // Add this line
 
+// Routes to edit (sender only, within the edit window) or delete a message
+router
+  .route("/:messageId")
+  .put(protect, editMessage)
+  .delete(protect, deleteMessage); // ?scope=me|everyone
+
+// Routes to add or remove the requester's emoji reaction on a message
+router
+  .route("/:messageId/reactions")
+  .post(protect, addReaction)
+  .delete(protect, removeReaction); // ?emoji=
+
+// Route to mark a chat as read up to a message (read receipts)
+router.route("/:chatId/read").put(protect, markAsRead);
+
 module.exports = router;
@@ -2,10 +2,17 @@
 const express = require("express");
 const dotenv = require("dotenv");
 const cors = require("cors");
+const cookieParser = require("cookie-parser");
 const http = require("http");
 const path = require("path"); // If serving static files later
 const { Server } = require("socket.io");
+const mongoose = require("mongoose");
 const connectDB = require("./config/db");
+const Chat = require("./models/Chat");
+const {
+  markChatDelivered,
+  markChatRead,
+} = require("./services/receiptService");
 
 // Load Env Vars
 dotenv.config(); // Ensure this is near the top
@@ -18,8 +25,22 @@ const authRoutes = require("./routes/authRoutes");
 const chatRoutes = require("./routes/chatRoutes");
 const messageRoutes = require("./routes/messageRoutes");
 
+// Storage (only the local driver needs a static route)
+const { staticRoute: uploadsStaticRoute } = require("./services/storage");
+
 // Middleware Files
-const { protect } = require("./middleware/authMiddleware");
+const { protect, verifyAccessToken } = require("./middleware/authMiddleware");
+const { sessionRoom } = require("./services/tokenService");
+const {
+  onlineUsers,
+  addOnlineSocket,
+  removeOnlineSocket,
+  isUserOnline,
+  broadcastPresence,
+  getVisibleOnlineUsers,
+  recordLastSeen,
+} = require("./services/presenceService");
+const { processDueDeletions } = require("./services/accountService");
 const { errorHandler, notFound } = require("./middleware/errorMiddleware");
 
 const app = express();
@@ -36,15 +57,57 @@ const io = new Server(server, {
   },
 });
 
-// --- Online User Tracking (In-Memory) ---
-let onlineUsers = {}; // { userId: socketId }
-const getUserIdFromSocketId = (socketId) => {
-  return Object.keys(onlineUsers).find(
-    (userId) => onlineUsers[userId] === socketId
+// --- Call Tracking (In-Memory) ---
+// Incoming calls ring on every device of the callee (their personal room). Once a
+// device answers, the call is pinned to that device and the caller's device.
+const ringingCalls = {}; // { "callerId:calleeId": callerSocketId }
+const activeCalls = {}; // { socketId: peerSocketId }, both directions
+const callKey = (callerId, calleeId) => `${callerId}:${calleeId}`;
+const endActiveCall = (socketId) => {
+  const peerSocketId = activeCalls[socketId];
+  delete activeCalls[socketId];
+  if (peerSocketId) delete activeCalls[peerSocketId];
+  return peerSocketId;
+};
+
+// --- Socket Authorization Helpers ---
+// True when the user is a member of the chat
+const isChatMember = async (chatId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) return false;
+  return Boolean(
+    await Chat.exists({ _id: chatId, users: { $elemMatch: { $eq: userId } } })
+  );
+};
+
+// True when both users are members of at least one common chat
+const shareAChat = async (userId, otherUserId) => {
+  if (!mongoose.Types.ObjectId.isValid(otherUserId)) return false;
+  if (userId.toString() === otherUserId.toString()) return false;
+  return Boolean(await Chat.exists({ users: { $all: [userId, otherUserId] } }));
+};
+
+// Socket payloads come straight from the client: anything but a plain object
+// (null, strings, arrays) is ignored before it is destructured
+const isPayloadObject = (payload) =>
+  payload !== null && typeof payload === "object" && !Array.isArray(payload);
+
+// Tells the client its event was refused instead of silently dropping it
+const rejectSocketEvent = (socket, event, message) => {
+  console.warn(
+    `[Socket Denied] ${event} from ${socket.userData?._id || socket.id}: ${message}`
   );
+  socket.emit("socket error", { event, message });
 };
 
 // --- Core Express Middleware ---
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip (rate limits, session
+// info) is the client's address. TRUST_PROXY is a hop count or an Express preset.
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+  );
+}
 // Enable CORS using the same origin as Socket.IO for consistency
 app.use(
   cors({
@@ -55,6 +118,8 @@ app.use(
 // Body Parsers for JSON and URL-encoded data
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
+// Cookie parser (the refresh token lives in an httpOnly cookie)
+app.use(cookieParser());
 
 // Middleware to attach io instance and onlineUsers map to request objects
 // This makes them accessible in controllers if needed (e.g., for direct emits)
@@ -64,6 +129,14 @@ app.use((req, res, next) => {
   next();
 });
 
+// --- Locally Stored Uploads (STORAGE_DRIVER=local) ---
+if (uploadsStaticRoute) {
+  app.use(
+    uploadsStaticRoute.path,
+    express.static(uploadsStaticRoute.dir, uploadsStaticRoute.options)
+  );
+}
+
 // --- API Routes ---
 // Mount routers for specific API paths
 app.use("/api/auth", authRoutes);
@@ -96,46 +169,109 @@ if (process.env.NODE_ENV === 'production') {
 app.use(notFound); // Handle 404 errors for routes not found
 app.use(errorHandler); // Global error handler
 
+// --- Socket.IO Handshake Authentication ---
+// Every socket must present an access token (`auth: { token }` or a Bearer
+// Authorization header). It is verified with the same logic as the `protect`
+// middleware, so unauthenticated sockets never reach the event handlers below.
+io.use(async (socket, next) => {
+  const authHeader = socket.handshake.headers?.authorization;
+  const token =
+    socket.handshake.auth?.token ||
+    (authHeader?.startsWith("Bearer") ? authHeader.split(" ")[1] : null);
+
+  if (!token) {
+    console.warn(`[Socket Auth] Rejected ${socket.id}: no token provided`);
+    return next(new Error("Not authorized, no token provided"));
+  }
+
+  try {
+    const { user, session } = await verifyAccessToken(token);
+    // Trusted identity, loaded from the database (never from client payloads)
+    socket.userData = {
+      _id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      pic: user.pic,
+    };
+    socket.data.sessionId = session._id.toString();
+    next();
+  } catch (error) {
+    console.warn(
+      `[Socket Auth] Rejected handshake from ${socket.id}: ${error.message}`
+    );
+    next(new Error("Not authorized, token failed"));
+  }
+});
+
 // --- Socket.IO Connection Logic ---
 io.on("connection", (socket) => {
-  console.log(`Socket connected: ${socket.id}`);
+  console.log(`Socket connected: ${socket.id} (User: ${socket.userData._id})`);
+  // Session room lets revocation (logout, sessions list) disconnect this socket
+  socket.join(sessionRoom(socket.data.sessionId));
 
   // 1. User Setup (when frontend connects after login)
-  socket.on("setup", (userData) => {
-    if (!userData || !userData._id) {
-      console.warn(
-        `[Socket Setup] Received invalid userData from ${socket.id}`
-      );
-      return;
-    }
+  // The payload is ignored: identity comes from the verified handshake
+  socket.on("setup", async () => {
+    const userData = socket.userData;
+    if (!userData) return; // Already disconnected
     socket.join(userData._id); // User joins room based on their own ID
-    socket.userData = userData; // Attach user data to the socket object
-    onlineUsers[userData._id] = socket.id; // Store mapping
+    const cameOnline = !isUserOnline(userData._id);
+    addOnlineSocket(userData._id, socket.id); // Track this device
     console.log(
       `[Socket Setup] User ${userData.name} (${userData._id}) connected, joined room ${userData._id}. Online: ${Object.keys(onlineUsers).length}`
     );
-    // Emit updated list of online user IDs to ALL connected clients
-    io.emit("get online users", Object.keys(onlineUsers));
     socket.emit("connected"); // Acknowledge successful setup to the client
+    try {
+      // Online users this user may see (chat partners allowed by their privacy settings)
+      socket.emit(
+        "get online users",
+        await getVisibleOnlineUsers(userData._id)
+      );
+      // Another device of an already-online user changes nobody's view
+      if (cameOnline) await broadcastPresence(io, userData._id);
+    } catch (error) {
+      console.warn(
+        `[Socket Setup] Presence update failed for ${userData._id}: ${error.message}`
+      );
+    }
   });
 
   // 2. Joining Chat Rooms (when user opens a specific chat)
-  socket.on("join chat", (chatId) => {
-    if (!chatId) {
+  // Only members may join, otherwise chat events would leak to outsiders
+  socket.on("join chat", async (chatId) => {
+    if (!chatId || typeof chatId !== "string") {
       console.warn(
         `[Socket Join Chat] Received invalid chatId from ${socket.id}`
       );
       return;
     }
-    socket.join(chatId); // Socket joins room identified by the chatId
-    console.log(
-      `[Socket Join Chat] User ${socket.userData?.name || socket.id} joined chat room: ${chatId}`
-    );
+    try {
+      if (!(await isChatMember(chatId, socket.userData?._id))) {
+        return rejectSocketEvent(
+          socket,
+          "join chat",
+          "Not authorized to join this chat"
+        );
+      }
+      if (!socket.userData) return; // Disconnected during the check
+      socket.join(chatId); // Socket joins room identified by the chatId
+      console.log(
+        `[Socket Join Chat] User ${socket.userData.name} joined chat room: ${chatId}`
+      );
+    } catch (error) {
+      rejectSocketEvent(socket, "join chat", "Could not join this chat");
+      console.error(`[Socket Join Chat] Failed for ${socket.id}:`, error);
+    }
   });
 
   // 3. Typing Indicators Relay
+  // Relayed only for rooms this socket joined through the membership check above
+  // (removal from a group forces the socket out of the room)
   socket.on("typing", (chatId) => {
     if (!chatId || !socket.userData?._id) return; // Need room and user ID
+    if (!socket.rooms.has(chatId)) {
+      return rejectSocketEvent(socket, "typing", "Join the chat first");
+    }
     // Emit to everyone else in the specific chat room
     socket
       .to(chatId)
@@ -144,6 +280,9 @@ io.on("connection", (socket) => {
 
   socket.on("stop typing", (chatId) => {
     if (!chatId || !socket.userData?._id) return;
+    if (!socket.rooms.has(chatId)) {
+      return rejectSocketEvent(socket, "stop typing", "Join the chat first");
+    }
     // Emit to everyone else in the specific chat room
     socket
       .to(chatId)
@@ -153,66 +292,204 @@ io.on("connection", (socket) => {
   // 4. Handling New Messages (Emitted from messageController after saving to DB)
   // No listener needed here; emission happens in the controller.
 
-  // --- WebRTC Signaling Handlers ---
-  socket.on("call-user", ({ userToCall, signalData, from, name, callType }) => {
-    const recipientSocketId = onlineUsers[userToCall];
-    if (recipientSocketId) {
-      console.log(`[Socket Call] Relaying call from ${from} (${name}) to ${userToCall}`);
-      io.to(recipientSocketId).emit("call-incoming", {
-        signal: signalData,
-        from,
-        name,
-        callType,
+  // 5. Delivery & Read Receipts
+  // Client acknowledges a 'message received' event: { chatId, messageId }
+  socket.on("mark delivered", async (payload) => {
+    if (!isPayloadObject(payload) || !socket.userData?._id) return;
+    try {
+      const { chatId, messageId } = payload;
+      if (!chatId || typeof chatId !== "string") return;
+      const receipt = await markChatDelivered({
+        chatId,
+        userId: socket.userData._id,
+        messageId,
       });
-    } else {
-      console.warn(`[Socket Call] User ${userToCall} not found or offline.`);
-      // Optionally emit back to caller that user is unavailable
-      // socket.emit("call-user-unavailable", { userToCall });
+      if (receipt?.updated > 0) {
+        io.to(chatId).emit("message delivered", receipt);
+      }
+    } catch (error) {
+      console.warn(
+        `[Socket Receipts] mark delivered failed for ${socket.id}: ${error.message}`
+      );
     }
   });
 
-  socket.on("call-accepted", ({ to, signal }) => {
-    const callerSocketId = onlineUsers[to];
+  // Client has seen the chat up to a message: { chatId, messageId? }
+  socket.on("mark read", async (payload) => {
+    if (!isPayloadObject(payload) || !socket.userData?._id) return;
+    try {
+      const { chatId, messageId } = payload;
+      if (!chatId || typeof chatId !== "string") return;
+      const receipt = await markChatRead({
+        chatId,
+        userId: socket.userData._id,
+        messageId,
+      });
+      if (receipt) {
+        // Chat room plus the reader's own room, so their other devices sync too
+        io.to(chatId).to(receipt.userId).emit("message read", receipt);
+      }
+    } catch (error) {
+      console.warn(
+        `[Socket Receipts] mark read failed for ${socket.id}: ${error.message}`
+      );
+    }
+  });
+
+  // --- WebRTC Signaling Handlers ---
+  // Calls are only relayed between users who share a chat. Successful checks are
+  // cached per socket because 'signal' fires many times during a single call.
+  // Payloads must be objects naming the peer by ID (a string, so io.to() targets
+  // exactly one room). Never throws: failures are reported to the client instead.
+  const allowedCallPeers = new Set();
+  const canSignal = async (event, payload, peerField) => {
+    if (!isPayloadObject(payload) || !socket.userData) return false; // Bad payload, or socket gone
+    const peerId = payload[peerField];
+    if (!peerId || typeof peerId !== "string") return false; // No target
+    if (allowedCallPeers.has(peerId)) return true;
+    try {
+      if (await shareAChat(socket.userData._id, peerId)) {
+        allowedCallPeers.add(peerId);
+        return Boolean(socket.userData); // Still connected after the lookup
+      }
+    } catch (error) {
+      console.error(
+        `[Socket Call] ${event} check failed for ${socket.id}:`,
+        error
+      );
+      rejectSocketEvent(socket, event, "Could not verify this call");
+      return false;
+    }
+    rejectSocketEvent(
+      socket,
+      event,
+      "You can only call users you share a chat with"
+    );
+    return false;
+  };
+
+  // Registers a call event that is relayed once canSignal() allows it
+  const onCallEvent = (event, peerField, handler) => {
+    socket.on(event, async (payload) => {
+      if (!(await canSignal(event, payload, peerField))) return;
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`[Socket Call] ${event} failed for ${socket.id}:`, error);
+        rejectSocketEvent(socket, event, "Could not relay this call event");
+      }
+    });
+  };
+
+  onCallEvent(
+    "call-user",
+    "userToCall",
+    ({ userToCall, signalData, callType }) => {
+      // Caller identity comes from the authenticated socket, not the payload
+      const { _id: from, name } = socket.userData;
+      if (isUserOnline(userToCall)) {
+        console.log(
+          `[Socket Call] Relaying call from ${from} (${name}) to ${userToCall} (${onlineUsers[userToCall].size} device(s))`
+        );
+        ringingCalls[callKey(from, userToCall)] = socket.id;
+        // Ring every device of the callee
+        io.to(userToCall).emit("call-incoming", {
+          signal: signalData,
+          from,
+          name,
+          callType,
+        });
+      } else {
+        console.warn(`[Socket Call] User ${userToCall} not found or offline.`);
+        // Optionally emit back to caller that user is unavailable
+        // socket.emit("call-user-unavailable", { userToCall });
+      }
+    }
+  );
+
+  onCallEvent("call-accepted", "to", ({ to, signal }) => {
+    const me = socket.userData._id;
+    const key = callKey(to, me);
+    const callerSocketId = ringingCalls[key];
     if (callerSocketId) {
-      console.log(`[Socket Call] Relaying acceptance from ${socket.userData?._id} to ${to}`);
-      io.to(callerSocketId).emit("call-accepted", { signal, from: socket.userData?._id });
+      delete ringingCalls[key];
+      activeCalls[socket.id] = callerSocketId;
+      activeCalls[callerSocketId] = socket.id;
+      console.log(
+        `[Socket Call] Relaying acceptance from ${me} (${socket.id}) to ${to}`
+      );
+      io.to(callerSocketId).emit("call-accepted", { signal, from: me });
+      // Stop the call ringing on the callee's other devices
+      socket.to(me).emit("call-answered-elsewhere", { from: to });
     } else {
-      console.warn(`[Socket Call] Original caller ${to} not found for acceptance.`);
+      console.warn(
+        `[Socket Call] No ringing call from ${to} to accept (cancelled or answered elsewhere).`
+      );
     }
   });
 
-  socket.on("signal", ({ to, signal }) => {
-    const recipientSocketId = onlineUsers[to];
-    if (recipientSocketId) {
-      // console.log(`[Socket Signal] Relaying signal from ${socket.userData?._id} to ${to}`);
+  onCallEvent("signal", "to", ({ to, signal }) => {
+    // Answered calls only talk to the paired device; before that, to every device
+    const target = activeCalls[socket.id] || to;
+    if (activeCalls[socket.id] || isUserOnline(to)) {
       // Avoid excessive logging for frequent signal events
-      io.to(recipientSocketId).emit("signal", { signal, from: socket.userData?._id });
-    } else {
-      // console.warn(`[Socket Signal] Recipient ${to} not found.`);
+      io.to(target).emit("signal", { signal, from: socket.userData?._id });
     }
   });
 
-  socket.on("call-ended", ({ to }) => {
-    const recipientSocketId = onlineUsers[to];
-    if (recipientSocketId) {
-      console.log(`[Socket Call End] Relaying call end from ${socket.userData?._id} to ${to}`);
-      io.to(recipientSocketId).emit("call-ended", { from: socket.userData?._id });
+  onCallEvent("call-ended", "to", ({ to }) => {
+    const me = socket.userData._id;
+    const peerSocketId = endActiveCall(socket.id);
+    let target = peerSocketId || to;
+    if (!peerSocketId && ringingCalls[callKey(me, to)]) {
+      // Caller hung up before an answer: dismiss the call on every callee device
+      delete ringingCalls[callKey(me, to)];
+    } else if (!peerSocketId && ringingCalls[callKey(to, me)]) {
+      // Callee declined: tell the calling device and stop the other devices ringing
+      target = ringingCalls[callKey(to, me)];
+      delete ringingCalls[callKey(to, me)];
+      socket.to(me).emit("call-ended", { from: to });
     }
+    console.log(
+      `[Socket Call End] Relaying call end from ${me} to ${to} (${target})`
+    );
+    io.to(target).emit("call-ended", { from: me });
   });
   // --- End WebRTC Signaling Handlers ---
 
-  // 5. Disconnection Logic
+  // 6. Disconnection Logic
   socket.on("disconnect", (reason) => {
     console.log(`Socket disconnected: ${socket.id}, Reason: ${reason}`);
-    const disconnectedUserId = getUserIdFromSocketId(socket.id);
-    if (disconnectedUserId) {
+    const disconnectedUserId = socket.userData?._id;
+
+    // Hang up a call this device was in, and stop ringing calls it started
+    const peerSocketId = endActiveCall(socket.id);
+    if (peerSocketId) {
+      io.to(peerSocketId).emit("call-ended", { from: disconnectedUserId });
+    }
+    Object.keys(ringingCalls).forEach((key) => {
+      if (ringingCalls[key] !== socket.id) return;
+      delete ringingCalls[key];
+      const calleeId = key.split(":")[1];
+      io.to(calleeId).emit("call-ended", { from: disconnectedUserId });
+    });
+
+    if (disconnectedUserId && onlineUsers[disconnectedUserId]?.has(socket.id)) {
       const userName = socket.userData?.name || disconnectedUserId;
-      delete onlineUsers[disconnectedUserId]; // Remove user from tracking
+      const wentOffline = removeOnlineSocket(disconnectedUserId, socket.id);
       console.log(
-        `[Socket Disconnect] User ${userName} (${disconnectedUserId}) disconnected. Online: ${Object.keys(onlineUsers).length}`
+        `[Socket Disconnect] User ${userName} (${disconnectedUserId}) closed a connection${wentOffline ? " and is now offline" : ""}. Online: ${Object.keys(onlineUsers).length}`
       );
-      // Broadcast the updated online list
-      io.emit("get online users", Object.keys(onlineUsers));
+      // Only the last device going away changes the user's presence
+      if (wentOffline) {
+        recordLastSeen(disconnectedUserId)
+          .then(() => broadcastPresence(io, disconnectedUserId))
+          .catch((error) =>
+            console.warn(
+              `[Socket Disconnect] Presence update failed for ${disconnectedUserId}: ${error.message}`
+            )
+          );
+      }
     } else {
       // This might happen if setup wasn't called before disconnect
       console.log(
@@ -228,6 +505,22 @@ io.on("connection", (socket) => {
   });
 }); // End io.on('connection')
 
+// --- Scheduled Account Deletions ---
+// Accounts whose deletion grace period has ended are processed hourly (and at startup)
+const ACCOUNT_DELETION_INTERVAL_MS = 60 * 60 * 1000;
+const runDueAccountDeletions = () => {
+  processDueDeletions(io)
+    .then((count) => {
+      if (count > 0) {
+        console.log(`[Account Deletion] Deleted ${count} account(s)`);
+      }
+    })
+    .catch((error) =>
+      console.error("[Account Deletion] Scheduled run failed:", error)
+    );
+};
+setInterval(runDueAccountDeletions, ACCOUNT_DELETION_INTERVAL_MS).unref();
+
 // --- Start Server ---
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
@@ -237,4 +530,5 @@ server.listen(PORT, () => {
   console.log(
     `Frontend expected at: ${process.env.CORS_ORIGIN || "http://localhost:5173"}`
   );
+  runDueAccountDeletions();
 });
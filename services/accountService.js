@@ -0,0 +1,274 @@
+// server/services/accountService.js
+// Personal data export and account deletion (scheduled, with a grace period)
+const crypto = require("crypto");
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { populateChat, transferGroupAdmin } = require("./chatService");
+const { removeFile } = require("./storage");
+const { revokeAllSessions, disconnectSessions } = require("./tokenService");
+
+const DELETION_GRACE_DAYS =
+  Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// @desc    Everything stored about a user, as a plain object ready to be sent as JSON
+exports.exportAccountData = async (userId) => {
+  const user = await User.findById(userId)
+    .select("+blockedUsers")
+    .populate("blockedUsers", "name");
+  if (!user) return null;
+
+  const [chats, messages, sessions] = await Promise.all([
+    Chat.find({ users: { $elemMatch: { $eq: userId } } })
+      .populate("users", "name")
+      .sort({ createdAt: 1 })
+      .lean(),
+    Message.find({ sender: userId }).sort({ createdAt: 1 }).lean(),
+    Session.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      _id: user._id,
+      name: user.name,
+      username: user.username || null,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      status: user.status,
+      pic: user.pic,
+      lastSeen: user.lastSeen || null,
+      privacy: user.privacy,
+      twoFactorEnabled: user.twoFactorEnabled,
+      deletionScheduledFor: user.deletionScheduledFor || null,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    blockedUsers: user.blockedUsers.map((blocked) => ({
+      _id: blocked._id,
+      name: blocked.name,
+    })),
+    chats: chats.map((chat) => ({
+      _id: chat._id,
+      chatName: chat.isGroupChat ? chat.chatName : undefined,
+      isGroupChat: chat.isGroupChat,
+      about: chat.about || undefined,
+      isAdmin: chat.groupAdmin?.toString() === userId.toString(),
+      members: chat.users.map((member) => ({
+        _id: member._id,
+        name: member.name,
+      })),
+      createdAt: chat.createdAt,
+    })),
+    messages: messages.map((message) => ({
+      _id: message._id,
+      chat: message.chat,
+      content: message.content,
+      attachments: (message.attachments || []).map((attachment) => ({
+        type: attachment.type,
+        url: attachment.url,
+        originalName: attachment.originalName,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+      })),
+      replyTo: message.replyTo || undefined,
+      revisions: message.revisions?.length ? message.revisions : undefined,
+      createdAt: message.createdAt,
+      editedAt: message.editedAt || undefined,
+      deletedAt: message.deletedAt || undefined,
+    })),
+    sessions: sessions.map((session) => ({
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      revokedAt: session.revokedAt || undefined,
+    })),
+  };
+};
+
+// @desc    Schedule the account for deletion and log out every device.
+//          Logging in again before the date cancels it (see cancelScheduledDeletion).
+// @returns The date the account will be deleted
+exports.scheduleDeletion = async (user, io) => {
+  const deletionScheduledFor = new Date(
+    Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { deletionScheduledFor } },
+    { timestamps: false }
+  );
+
+  const revokedSessionIds = await revokeAllSessions(
+    user._id,
+    "account-deletion"
+  );
+  disconnectSessions(io, revokedSessionIds);
+  return deletionScheduledFor;
+};
+
+// @returns true when a scheduled deletion was cancelled
+exports.cancelScheduledDeletion = async (user) => {
+  if (!user.deletionScheduledFor) return false;
+  await User.updateOne(
+    { _id: user._id },
+    { $unset: { deletionScheduledFor: 1 } },
+    { timestamps: false }
+  );
+  user.deletionScheduledFor = undefined;
+  return true;
+};
+
+// Deletes a chat nobody is left in, with its messages and stored attachments
+const deleteEmptyChat = async (chatId) => {
+  const messages = await Message.find({
+    chat: chatId,
+    "attachments.0": { $exists: true },
+  }).select("attachments");
+  messages.forEach((message) =>
+    message.attachments.forEach((attachment) => {
+      if (attachment.publicId) {
+        removeFile(attachment.publicId, { mimeType: attachment.mimeType });
+      }
+    })
+  );
+  await Message.deleteMany({ chat: chatId });
+  await Chat.deleteOne({ _id: chatId });
+};
+
+// @desc    Permanently delete an account. Messages stay in their chats but point to an
+//          anonymized account ("Deleted User"); the user leaves every chat, groups they
+//          administer go to another member, and chats left empty are removed.
+exports.deleteAccount = async (userId, io) => {
+  const id = userId.toString();
+  console.log(`[accountService] Deleting account ${id}`);
+
+  // 1. Log out every device
+  const revokedSessionIds = await revokeAllSessions(userId, "account-deleted");
+  disconnectSessions(io, revokedSessionIds);
+
+  // 2. Hand administered groups to the longest-standing other member
+  const adminGroups = await Chat.find({
+    isGroupChat: true,
+    groupAdmin: userId,
+  });
+  for (const group of adminGroups) {
+    const successor = group.users.find((member) => member.toString() !== id);
+    if (successor) {
+      await transferGroupAdmin({
+        chatId: group._id,
+        currentAdminId: userId,
+        newAdminId: successor,
+        io,
+      });
+    }
+  }
+
+  // 3. Leave every chat; delete the ones nobody is left in
+  const chats = await Chat.find({ users: { $elemMatch: { $eq: userId } } });
+  for (const chat of chats) {
+    const updatedChat = await Chat.findByIdAndUpdate(
+      chat._id,
+      { $pull: { users: userId, readState: { user: userId } } },
+      { new: true }
+    );
+    if (!updatedChat) continue;
+
+    if (updatedChat.users.length === 0) {
+      await deleteEmptyChat(chat._id);
+    } else if (updatedChat.isGroupChat && io) {
+      const populated = await populateChat(updatedChat);
+      if (populated) {
+        io.to(chat._id.toString()).emit("user left group", populated);
+      }
+    }
+  }
+
+  // 4. Anonymize messages: drop the user's edit history and their reactions/receipts
+  await Message.updateMany(
+    { sender: userId },
+    { $set: { revisions: [] } },
+    { timestamps: false }
+  );
+  await Message.updateMany(
+    {
+      $or: [
+        { "reactions.user": userId },
+        { "readBy.user": userId },
+        { "deliveredTo.user": userId },
+        { deletedFor: userId },
+      ],
+    },
+    {
+      $pull: {
+        reactions: { user: userId },
+        readBy: { user: userId },
+        deliveredTo: { user: userId },
+        deletedFor: userId,
+      },
+    },
+    { timestamps: false }
+  );
+  await User.updateMany(
+    { blockedUsers: userId },
+    { $pull: { blockedUsers: userId } },
+    { timestamps: false }
+  );
+
+  // 5. Scrub the account itself. The document stays so existing references
+  //    (message senders) resolve to an anonymous user.
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        name: "Deleted User",
+        email: `deleted-${id}@deleted.invalid`,
+        password: crypto.randomBytes(32).toString("hex"), // Unusable: never a bcrypt hash
+        pic: User.schema.path("pic").defaultValue,
+        status: "",
+        emailVerified: false,
+        twoFactorEnabled: false,
+        deletedAt: new Date(),
+      },
+      $unset: {
+        username: 1, // Frees the handle
+        lastSeen: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpires: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorLastUsedStep: 1,
+        twoFactorRecoveryCodes: 1,
+        blockedUsers: 1,
+        deletionScheduledFor: 1,
+      },
+      $inc: { tokenVersion: 1 },
+    }
+  );
+  console.log(`[accountService] Account ${id} deleted`);
+};
+
+// @desc    Delete every account whose grace period has ended
+// @returns Number of accounts deleted
+exports.processDueDeletions = async (io) => {
+  const dueUsers = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null,
+  }).select("_id");
+
+  for (const user of dueUsers) {
+    try {
+      await exports.deleteAccount(user._id, io);
+    } catch (error) {
+      console.error(
+        `[accountService] Failed to delete account ${user._id}:`,
+        error
+      );
+    }
+  }
+  return dueUsers.length;
+};
@@ -0,0 +1,80 @@
+// server/services/chatService.js
+// Chat helpers shared by the chat controller and account-level operations
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const { applyLastSeenPrivacy } = require("./presenceService");
+
+// Populates members, admin and latest message for chat payloads (REST and sockets).
+// Returns null (and logs) instead of throwing when population fails.
+exports.populateChat = async (chat) => {
+  // Check if chat is a valid Mongoose document before attempting population
+  if (!chat || !(chat instanceof mongoose.Document)) {
+    console.warn("[populateChat] Invalid document provided or null value.");
+    return null;
+  }
+  try {
+    // Ensure population paths are correct and exclude sensitive fields
+    const populated = await chat.populate([
+      {
+        path: "users",
+        select: "-password -refreshToken -createdAt -updatedAt -__v",
+      },
+      {
+        path: "groupAdmin",
+        select: "-password -refreshToken -createdAt -updatedAt -__v",
+      },
+      {
+        path: "latestMessage",
+        select: "-deletedFor", // Who hid the message ("delete for me") stays private
+        populate: {
+          path: "sender",
+          // Select fields needed for latest message display (hideEmail for serialization)
+          select: "name username pic email status privacy.hideEmail",
+        },
+      },
+    ]);
+    // Chat payloads go to every member: lastSeen shared with "contacts" only
+    // shows in one-on-one chats, never to fellow group members
+    applyLastSeenPrivacy(
+      [...populated.users, populated.groupAdmin].filter(Boolean),
+      () => !populated.isGroupChat
+    );
+    return populated;
+  } catch (error) {
+    console.error(`[populateChat] Error populating chat ${chat?._id}:`, error);
+    return null; // Return null on population error
+  }
+};
+
+// @desc    Hand the admin role of a group to another member and tell the group's room.
+//          The update only applies while currentAdminId is the admin and newAdminId
+//          is a member, so callers don't need to re-check that.
+// @returns { rawChat, chat } (chat is null when population failed), or null when the
+//          conditions did not hold
+exports.transferGroupAdmin = async ({
+  chatId,
+  currentAdminId,
+  newAdminId,
+  io,
+}) => {
+  const rawChat = await Chat.findOneAndUpdate(
+    {
+      _id: chatId,
+      isGroupChat: true,
+      groupAdmin: currentAdminId, // Current user must be admin
+      users: newAdminId, // Target user must be a member
+    },
+    { $set: { groupAdmin: newAdminId } },
+    { new: true }
+  );
+  if (!rawChat) return null;
+
+  const chat = await exports.populateChat(rawChat);
+  if (io && chat) {
+    console.log(
+      `[Socket Emit PREP] Emitting 'group updated' (admin transfer) to room ${chatId}`
+    );
+    io.to(chatId.toString()).emit("group updated", chat); // Send populated chat
+  }
+  return { rawChat, chat };
+};
@@ -0,0 +1,125 @@
+// server/services/presenceService.js
+// Online presence and last-seen visibility, shared by the socket handlers and controllers.
+// Presence lives in memory; only lastSeen is persisted (on the user's last disconnect).
+const Chat = require("../models/Chat");
+const User = require("../models/User");
+
+// A user can be connected from several devices at once; they stay online
+// until their last socket disconnects.
+const onlineUsers = {}; // { userId: Set<socketId> }
+
+exports.onlineUsers = onlineUsers;
+
+exports.addOnlineSocket = (userId, socketId) => {
+  if (!onlineUsers[userId]) onlineUsers[userId] = new Set();
+  onlineUsers[userId].add(socketId);
+};
+
+// @returns true when this was the user's last connected socket
+exports.removeOnlineSocket = (userId, socketId) => {
+  const sockets = onlineUsers[userId];
+  if (!sockets) return false;
+  sockets.delete(socketId);
+  if (sockets.size > 0) return false;
+  delete onlineUsers[userId];
+  return true;
+};
+
+exports.isUserOnline = (userId) => Boolean(onlineUsers[userId]?.size);
+
+// Privacy settings use "everyone" | "contacts" | "nobody". Contacts are the people
+// a user has a one-on-one chat with; group members alone are not contacts.
+exports.canSee = (setting, isContact) =>
+  (setting || "everyone") === "everyone" ||
+  (setting === "contacts" && Boolean(isContact));
+
+// Everyone the user shares a chat with
+// @returns Map of peerId -> isContact
+const getChatPeers = async (userId) => {
+  const chats = await Chat.find({
+    users: { $elemMatch: { $eq: userId } },
+  }).select("users isGroupChat");
+
+  const peers = new Map();
+  chats.forEach((chat) => {
+    chat.users.forEach((memberId) => {
+      const peerId = memberId.toString();
+      if (peerId === userId.toString()) return;
+      peers.set(peerId, peers.get(peerId) || !chat.isGroupChat);
+    });
+  });
+  return peers;
+};
+
+// IDs of the users the viewer has a one-on-one chat with
+exports.getContactIds = async (viewerId) => {
+  const peers = await getChatPeers(viewerId);
+  return new Set(
+    [...peers].filter(([, isContact]) => isContact).map(([peerId]) => peerId)
+  );
+};
+
+// Hides lastSeen on user documents the viewer may not see it for.
+// Relies on the User schema's toJSON/toObject transform reading $locals.
+exports.applyLastSeenPrivacy = (users, isContact) => {
+  users.forEach((user) => {
+    if (!user?.$locals) return; // Not a populated document
+    user.$locals.hideLastSeen = !exports.canSee(
+      user.privacy?.lastSeen,
+      isContact(user)
+    );
+  });
+};
+
+// @desc    Tell every online user who shares a chat with `userId` about their presence,
+//          respecting the user's privacy settings. Peers who may not see the online
+//          status get "user offline" (with lastSeen only where that is allowed).
+exports.broadcastPresence = async (io, userId) => {
+  const [user, peers] = await Promise.all([
+    User.findById(userId).select("privacy lastSeen"),
+    getChatPeers(userId),
+  ]);
+  if (!user) return;
+
+  const online = exports.isUserOnline(userId);
+  peers.forEach((isContact, peerId) => {
+    if (!exports.isUserOnline(peerId)) return;
+    if (online && exports.canSee(user.privacy?.onlineStatus, isContact)) {
+      io.to(peerId).emit("user online", { userId: userId.toString() });
+      return;
+    }
+    io.to(peerId).emit("user offline", {
+      userId: userId.toString(),
+      lastSeen: exports.canSee(user.privacy?.lastSeen, isContact)
+        ? user.lastSeen || null
+        : null,
+    });
+  });
+};
+
+// @returns IDs of the online users whose online status the viewer may see
+exports.getVisibleOnlineUsers = async (viewerId) => {
+  const peers = await getChatPeers(viewerId);
+  const onlinePeerIds = [...peers.keys()].filter(exports.isUserOnline);
+  if (onlinePeerIds.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: onlinePeerIds } }).select(
+    "privacy"
+  );
+  return users
+    .filter((user) =>
+      exports.canSee(user.privacy?.onlineStatus, peers.get(user._id.toString()))
+    )
+    .map((user) => user._id.toString());
+};
+
+// Persists the moment the user's last device disconnected
+exports.recordLastSeen = async (userId) => {
+  const lastSeen = new Date();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { lastSeen } },
+    { timestamps: false } // Presence is not a profile change
+  );
+  return lastSeen;
+};
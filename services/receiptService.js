@@ -0,0 +1,182 @@
+// server/services/receiptService.js
+// Delivery and read receipts, shared by the message controller (REST) and the socket handlers
+const createError = require("http-errors");
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+
+// Finds the chat (if the user is a member) and the message receipts should run up to.
+// When no messageId is given, the latest message in the chat is used.
+const resolveTarget = async (chatId, userId, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    throw createError(400, "Invalid Chat ID format");
+  }
+  if (messageId && !mongoose.Types.ObjectId.isValid(messageId)) {
+    throw createError(400, "Invalid Message ID format");
+  }
+
+  const chat = await Chat.findOne({
+    _id: chatId,
+    users: { $elemMatch: { $eq: userId } },
+  }).select("_id");
+  if (!chat) {
+    throw createError(403, "Not authorized to access this chat");
+  }
+
+  const target = messageId
+    ? await Message.findOne({ _id: messageId, chat: chatId }).select(
+        "_id createdAt"
+      )
+    : await Message.findOne({ chat: chatId })
+        .sort({ createdAt: -1, _id: -1 })
+        .select("_id createdAt");
+  if (messageId && !target) {
+    throw createError(404, "Message not found in this chat");
+  }
+
+  return { chat, target };
+};
+
+// Adds a receipt for userId to every message in the chat up to (and including) target.
+// Only messages from other senders that do not have a receipt yet are touched.
+const addReceipts = async (field, chatId, userId, target, at) => {
+  const result = await Message.updateMany(
+    {
+      chat: chatId,
+      sender: { $ne: userId },
+      createdAt: { $lte: target.createdAt },
+      [`${field}.user`]: { $ne: userId },
+    },
+    { $push: { [field]: { user: userId, at } } },
+    { timestamps: false } // Receipts should not change the message's updatedAt
+  );
+  return result.modifiedCount;
+};
+
+// @desc    Mark messages in a chat as delivered to a user
+// @returns { chatId, userId, messageId, deliveredAt, updated } or null when the chat is empty
+exports.markChatDelivered = async ({ chatId, userId, messageId }) => {
+  const { target } = await resolveTarget(chatId, userId, messageId);
+  if (!target) return null;
+
+  const deliveredAt = new Date();
+  const updated = await addReceipts(
+    "deliveredTo",
+    chatId,
+    userId,
+    target,
+    deliveredAt
+  );
+
+  return {
+    chatId: chatId.toString(),
+    userId: userId.toString(),
+    messageId: target._id,
+    deliveredAt,
+    updated,
+  };
+};
+
+// @desc    Mark a chat as read by a user up to a message (defaults to the latest one)
+// @returns { chatId, userId, messageId, readAt, updated } or null when the chat is empty
+exports.markChatRead = async ({ chatId, userId, messageId }) => {
+  const { target } = await resolveTarget(chatId, userId, messageId);
+  if (!target) return null;
+
+  const readAt = new Date();
+  // Anything read has necessarily been delivered as well
+  await addReceipts("deliveredTo", chatId, userId, target, readAt);
+  const updated = await addReceipts("readBy", chatId, userId, target, readAt);
+
+  // Move the member's last-read position forward (never backwards). Each step is a
+  // single conditional update, so concurrent marks (socket + REST, several devices)
+  // can neither duplicate the entry nor move it back.
+  const entry = {
+    user: userId,
+    lastReadMessage: target._id,
+    lastReadMessageAt: target.createdAt,
+    readAt,
+  };
+  // timestamps: false keeps fetchChats ordering (updatedAt) untouched
+  const advanced = await Chat.updateOne(
+    {
+      _id: chatId,
+      readState: {
+        $elemMatch: {
+          user: userId,
+          $or: [
+            { lastReadMessageAt: { $lt: target.createdAt } },
+            { lastReadMessageAt: null },
+          ],
+        },
+      },
+    },
+    { $set: { "readState.$": entry } },
+    { timestamps: false }
+  );
+  if (advanced.matchedCount === 0) {
+    // No entry yet (an existing, newer entry matches neither update)
+    await Chat.updateOne(
+      { _id: chatId, "readState.user": { $ne: userId } },
+      { $push: { readState: entry } },
+      { timestamps: false }
+    );
+  }
+
+  return {
+    chatId: chatId.toString(),
+    userId: userId.toString(),
+    messageId: target._id,
+    readAt,
+    updated,
+  };
+};
+
+// Returns the caller's entry from chat.readState in the shape exposed to clients
+exports.getLastRead = (chat, userId) => {
+  const entry = (chat.readState || []).find(
+    (state) => (state.user?._id || state.user)?.toString() === userId.toString()
+  );
+  if (!entry) return null;
+  return {
+    messageId: entry.lastReadMessage || null,
+    messageCreatedAt: entry.lastReadMessageAt || null,
+    readAt: entry.readAt || null,
+  };
+};
+
+// Counts messages from other members newer than the user's last-read position.
+// `chat` only needs _id and readState.
+exports.countUnread = async (chat, userId) => {
+  const lastRead = exports.getLastRead(chat, userId);
+  const filter = {
+    chat: chat._id,
+    sender: { $ne: userId },
+    deletedAt: null, // Tombstones and messages hidden by the user don't count
+    deletedFor: { $ne: userId },
+  };
+  if (lastRead?.messageCreatedAt) {
+    filter.createdAt = { $gt: lastRead.messageCreatedAt };
+  }
+  return Message.countDocuments(filter);
+};
+
+// @desc    Unread counts for every chat the user belongs to
+// @returns { counts: { [chatId]: number }, totalUnread }
+exports.getUnreadSummary = async (userId) => {
+  const chats = await Chat.find({
+    users: { $elemMatch: { $eq: userId } },
+  }).select("_id readState");
+
+  const counts = {};
+  let totalUnread = 0;
+  await Promise.all(
+    chats.map(async (chat) => {
+      const count = await exports.countUnread(chat, userId);
+      counts[chat._id.toString()] = count;
+      totalUnread += count;
+    })
+  );
+
+  return { counts, totalUnread };
+};
@@ -0,0 +1,35 @@
+// server/services/storage/cloudinaryDriver.js
+// Stores uploads on Cloudinary (default when Cloudinary credentials are configured)
+const cloudinary = require("../../config/cloudinary");
+
+// Cloudinary keeps images and PDFs as "image" resources, other files as "raw"
+const getResourceType = (mimeType = "") =>
+  mimeType.startsWith("image/") || mimeType === "application/pdf"
+    ? "image"
+    : "raw";
+
+// Uploads a multer temp file; images can be limited to maxWidth x maxHeight
+exports.save = async (file, { folder, publicId, maxWidth, maxHeight } = {}) => {
+  const result = await cloudinary.uploader.upload(file.path, {
+    resource_type: "auto",
+    folder,
+    ...(publicId && { public_id: publicId }),
+    ...(maxWidth && {
+      transformation: [{ width: maxWidth, height: maxHeight, crop: "limit" }],
+    }),
+  });
+
+  return {
+    url: result.secure_url,
+    publicId: result.public_id,
+    size: result.bytes,
+    width: result.width,
+    height: result.height,
+  };
+};
+
+exports.remove = async (publicId, { mimeType } = {}) => {
+  await cloudinary.uploader.destroy(publicId, {
+    resource_type: getResourceType(mimeType),
+  });
+};
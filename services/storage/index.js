@@ -0,0 +1,57 @@
+// server/services/storage/index.js
+// Storage abstraction for uploaded files (profile pictures, group pictures, message attachments).
+// The driver is chosen with STORAGE_DRIVER ("cloudinary" | "local"); when unset, Cloudinary is
+// used if it is configured and the local filesystem otherwise.
+const fs = require("fs");
+
+const DRIVERS = {
+  cloudinary: () => require("./cloudinaryDriver"),
+  local: () => require("./localDriver"),
+};
+
+const driverName = (
+  process.env.STORAGE_DRIVER ||
+  (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local")
+).toLowerCase();
+
+if (!DRIVERS[driverName]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${driverName}". Use "cloudinary" or "local".`
+  );
+}
+
+const driver = DRIVERS[driverName]();
+console.log(`[Storage] Using "${driverName}" storage driver.`);
+
+// Removes a multer temp file, ignoring files that are already gone
+const removeTempFile = (file) => {
+  if (file?.path) fs.unlink(file.path, () => {});
+};
+
+// @desc    Persist a multer temp file through the active driver
+// @returns { url, publicId, size, width?, height? }
+const saveFile = async (file, options = {}) => {
+  try {
+    return await driver.save(file, options);
+  } finally {
+    removeTempFile(file); // The temp copy is never needed after this point
+  }
+};
+
+// @desc    Best-effort removal of a stored file (errors are logged, not thrown)
+const removeFile = async (publicId, options = {}) => {
+  if (!publicId) return;
+  try {
+    await driver.remove(publicId, options);
+  } catch (error) {
+    console.error(`[Storage] Failed to remove ${publicId}:`, error.message);
+  }
+};
+
+module.exports = {
+  driverName,
+  saveFile,
+  removeFile,
+  removeTempFile,
+  staticRoute: driver.staticRoute || null, // Only the local driver serves files itself
+};
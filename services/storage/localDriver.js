@@ -0,0 +1,108 @@
+// server/services/storage/localDriver.js
+// Stores uploads on the local filesystem and serves them through a static route.
+// Meant for offline development and CI; images are stored as uploaded (no resizing).
+const fs = require("fs");
+const path = require("path");
+const sizeOf = require("image-size");
+
+const ROOT_DIR = path.resolve(process.env.LOCAL_UPLOAD_DIR || "uploads");
+const PUBLIC_PATH = "/uploads";
+
+// Absolute URLs, since the frontend runs on a different origin
+const getBaseUrl = () =>
+  (
+    process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`
+  ).replace(/\/+$/, "");
+
+// Resolves a stored publicId ("folder/name.ext") and refuses paths outside ROOT_DIR
+const resolveStoredPath = (publicId) => {
+  const target = path.resolve(ROOT_DIR, publicId);
+  if (!target.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error(`Invalid storage path: ${publicId}`);
+  }
+  return target;
+};
+
+// publicIds become file names, so only plain names are accepted (no separators or "..")
+const SAFE_NAME_REGEX = /^[A-Za-z0-9_-]{1,128}$/;
+
+// The stored extension decides how the file is served, so it comes from the accepted
+// mimetype, never from the client's file name. Anything else is stored without one.
+const MIME_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "application/pdf": ".pdf",
+  "text/plain": ".txt",
+};
+const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".gif"]);
+
+// rename() fails across devices (e.g. tmpfs -> disk), so fall back to copy + delete
+const moveFile = async (source, destination) => {
+  try {
+    await fs.promises.rename(source, destination);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    await fs.promises.copyFile(source, destination);
+    await fs.promises.unlink(source);
+  }
+};
+
+exports.save = async (file, { folder = "misc", publicId } = {}) => {
+  if (publicId && !SAFE_NAME_REGEX.test(publicId)) {
+    throw new Error(`Invalid storage name: ${publicId}`);
+  }
+  const directory = resolveStoredPath(folder);
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const baseName =
+    publicId || `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+  const fileName = `${baseName}${MIME_EXTENSIONS[file.mimetype] || ""}`;
+  const destination = resolveStoredPath(path.join(folder, fileName));
+  await moveFile(file.path, destination);
+
+  let dimensions = {};
+  if (file.mimetype.startsWith("image/")) {
+    try {
+      dimensions = sizeOf(destination);
+    } catch (error) {
+      console.warn(
+        `[localDriver] Could not read image size for ${fileName}: ${error.message}`
+      );
+    }
+  }
+
+  const storedId = `${folder}/${fileName}`;
+  return {
+    url: `${getBaseUrl()}${PUBLIC_PATH}/${storedId}`,
+    publicId: storedId,
+    size: file.size,
+    width: dimensions.width,
+    height: dimensions.height,
+  };
+};
+
+exports.remove = async (publicId) => {
+  try {
+    await fs.promises.unlink(resolveStoredPath(publicId));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error; // Already gone is fine
+  }
+};
+
+// Uploads are user content on the API origin: never let the browser sniff a type,
+// and download everything that is not an image instead of rendering it
+const setUploadHeaders = (res, filePath) => {
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  if (!IMAGE_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    res.setHeader("Content-Disposition", "attachment");
+  }
+};
+
+// Mounted by server.js so stored files are reachable at the returned URLs
+exports.staticRoute = {
+  path: PUBLIC_PATH,
+  dir: ROOT_DIR,
+  options: { setHeaders: setUploadHeaders },
+};
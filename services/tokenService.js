@@ -0,0 +1,273 @@
+// server/services/tokenService.js
+// Access/refresh token handling. Access tokens are short-lived JWTs (utils/generateToken.js);
+// refresh tokens are opaque "<sessionId>.<secret>" strings kept in an httpOnly cookie and
+// rotated on every use. Only a hash of the secret is stored on the Session document.
+const crypto = require("crypto");
+const createError = require("http-errors");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const generateToken = require("../utils/generateToken");
+
+const REFRESH_COOKIE_NAME = "refreshToken";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MAX_PREVIOUS_HASHES = 50; // Enough history to catch replays of recent tokens
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+// Refreshes sent at the same time (several tabs) all present the same token; the ones
+// that lose the rotation race may still use the just-rotated token this long
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(48).toString("hex");
+
+// Splits "<sessionId>.<secret>", returns null for anything malformed
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = (token || "").split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// True when `hash` is the token rotated out by the latest rotation, and that
+// rotation happened within the grace window
+const isWithinRotationGrace = (session, hash) =>
+  session.previousTokenHashes[session.previousTokenHashes.length - 1] ===
+    hash &&
+  Boolean(session.rotatedAt) &&
+  Date.now() - session.rotatedAt.getTime() <= ROTATION_GRACE_MS;
+
+// The cookie is only sent to /api/auth (refresh/logout), never to other API routes
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // Frontend and API live on different sites in production
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+  path: "/api/auth",
+  maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+});
+
+const setRefreshCookie = (res, sessionId, secret) => {
+  res.cookie(
+    REFRESH_COOKIE_NAME,
+    `${sessionId}.${secret}`,
+    refreshCookieOptions()
+  );
+};
+
+exports.clearRefreshCookie = (res) => {
+  const { maxAge, ...options } = refreshCookieOptions();
+  res.clearCookie(REFRESH_COOKIE_NAME, options);
+};
+
+// @desc    Start a session for a user (login/registration)
+// @returns The access token; the refresh token is set as a cookie on `res`
+exports.startSession = async (req, res, user) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    userAgent: (req.get("user-agent") || "").slice(0, 512),
+    ip: req.ip || "",
+    expiresAt: new Date(
+      Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    ),
+  });
+
+  setRefreshCookie(res, session._id, secret);
+  return generateToken(user._id, session._id, user.tokenVersion);
+};
+
+// Loads the session's user for a successful refresh (revokes sessions of missing users)
+const loadSessionUser = async (session) => {
+  const user = await User.findById(session.user);
+  if (!user) {
+    await exports.revokeSession(session._id, "user-missing");
+    throw createError(401, "Not authorized, user not found");
+  }
+  return user;
+};
+
+// A refresh that lost the rotation race: it gets an access token, but the cookie is left
+// alone because the winning response already set the current refresh token
+const refreshWithinGrace = async (session) => {
+  const user = await loadSessionUser(session);
+  return {
+    user,
+    accessToken: generateToken(user._id, session._id, user.tokenVersion),
+  };
+};
+
+// @desc    Exchange the refresh cookie for a new access token and a rotated refresh token.
+//          Presenting a token that was already rotated revokes the whole session (family),
+//          unless it was rotated out moments ago by a concurrent refresh.
+// @returns { user, accessToken }
+exports.rotateSession = async (req, res) => {
+  const parsed = parseRefreshToken(req.cookies?.[REFRESH_COOKIE_NAME]);
+  if (!parsed) {
+    throw createError(401, "Not authorized, no refresh token provided");
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw createError(401, "Session has expired, please log in again");
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (presentedHash !== session.tokenHash) {
+    if (isWithinRotationGrace(session, presentedHash)) {
+      return refreshWithinGrace(session);
+    }
+    if (session.previousTokenHashes.includes(presentedHash)) {
+      // An old token came back: someone else holds a copy of this family
+      console.warn(
+        `[tokenService] Refresh token reuse detected for session ${session._id} (user ${session.user}). Revoking.`
+      );
+      await exports.revokeSession(session._id, "reuse");
+      exports.disconnectSessions(req.io, [session._id]);
+    }
+    throw createError(401, "Not authorized, invalid refresh token");
+  }
+
+  // Rotate atomically so two concurrent refreshes can't both succeed
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashSecret(secret),
+        lastUsedAt: new Date(),
+        rotatedAt: new Date(),
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [presentedHash],
+          $slice: -MAX_PREVIOUS_HASHES,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    // A concurrent refresh rotated this token between our read and the update
+    const current = await Session.findById(session._id);
+    if (
+      current &&
+      !current.revokedAt &&
+      isWithinRotationGrace(current, presentedHash)
+    ) {
+      return refreshWithinGrace(current);
+    }
+    // The winning response may have set a newer cookie: leave it in place
+    throw createError(401, "Not authorized, refresh token was already used", {
+      keepRefreshCookie: true,
+    });
+  }
+
+  const user = await loadSessionUser(session);
+  setRefreshCookie(res, session._id, secret);
+  return {
+    user,
+    accessToken: generateToken(user._id, session._id, user.tokenVersion),
+  };
+};
+
+// @desc    End the session the refresh cookie belongs to (logout). Never throws for
+//          missing/invalid cookies: logging out is always allowed.
+exports.endSession = async (req) => {
+  const parsed = parseRefreshToken(req.cookies?.[REFRESH_COOKIE_NAME]);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId);
+  const hash = hashSecret(parsed.secret);
+  if (
+    !session ||
+    (session.tokenHash !== hash && !session.previousTokenHashes.includes(hash))
+  ) {
+    return null;
+  }
+
+  await exports.revokeSession(session._id, "logout");
+  exports.disconnectSessions(req.io, [session._id]);
+  return session._id;
+};
+
+// @returns true when an active session was revoked
+exports.revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revokes every active session of a user, optionally keeping one (the current device)
+// @returns The IDs of the revoked sessions
+exports.revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  const filter = {
+    user: userId,
+    revokedAt: null,
+    ...(exceptSessionId && { _id: { $ne: exceptSessionId } }),
+  };
+  const sessions = await Session.find(filter).select("_id");
+  await Session.updateMany(
+    { _id: { $in: sessions.map((session) => session._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return sessions.map((session) => session._id);
+};
+
+// @desc    Look up an access token's session; null when revoked, expired or missing.
+//          Refreshes lastUsedAt at most once a minute to keep writes cheap.
+exports.findActiveSession = async (sessionId) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { lastUsedAt: new Date() } }
+    );
+  }
+  return session;
+};
+
+// @desc    Short-lived token proving the password step of a two-factor login succeeded.
+//          It carries no session, so protect/socket auth never accept it as an access token.
+exports.createTwoFactorChallenge = (userId) =>
+  jwt.sign({ id: userId, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+  });
+
+// @returns The user ID of a valid challenge token
+exports.verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token || "", process.env.JWT_SECRET);
+    if (decoded.purpose !== "2fa") throw new Error("Wrong token purpose");
+    return decoded.id;
+  } catch (error) {
+    throw createError(401, "Two-factor login has expired, please log in again");
+  }
+};
+
+// Exported for tests
+exports.parseRefreshToken = parseRefreshToken;
+exports.isWithinRotationGrace = isWithinRotationGrace;
+exports.ROTATION_GRACE_MS = ROTATION_GRACE_MS;
+
+// Room every authenticated socket joins, so a session's sockets can be reached
+exports.sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Disconnects the live sockets of the given sessions (after revocation)
+exports.disconnectSessions = (io, sessionIds) => {
+  if (!io || sessionIds.length === 0) return;
+  sessionIds.forEach((sessionId) => {
+    io.in(exports.sessionRoom(sessionId)).disconnectSockets(true);
+  });
+};
@@ -0,0 +1,89 @@
+const User = require("../../models/User");
+
+// Defaults: locked after 5 failures for 1 minute, doubling up to 24 hours
+const MINUTE = 60;
+
+describe("User.registerFailedLogin", () => {
+  let user;
+  let lockUpdate;
+
+  // Simulates the database counter reaching `failures` with this attempt
+  const failWith = (failures) => {
+    jest
+      .spyOn(User, "findByIdAndUpdate")
+      .mockResolvedValue({ failedLoginAttempts: failures });
+    return user.registerFailedLogin();
+  };
+
+  beforeEach(() => {
+    user = new User({ name: "A", email: "a@example.com", password: "secret" });
+    lockUpdate = jest
+      .spyOn(User, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("increments the counter atomically", async () => {
+    await failWith(1);
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      expect.objectContaining({ new: true })
+    );
+  });
+
+  it("does not lock the account before the limit", async () => {
+    for (let failures = 1; failures < 5; failures += 1) {
+      await expect(failWith(failures)).resolves.toBe(0);
+    }
+    expect(lockUpdate).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [5, 1],
+    [6, 2],
+    [7, 4],
+    [8, 8],
+    [15, 1024],
+  ])("locks after %i failures for %i minute(s)", async (failures, minutes) => {
+    const before = Date.now();
+    await expect(failWith(failures)).resolves.toBe(minutes * MINUTE);
+
+    const { lockUntil } = lockUpdate.mock.calls[0][1].$set;
+    expect(lockUntil.getTime()).toBeGreaterThanOrEqual(
+      before + minutes * MINUTE * 1000
+    );
+    expect(lockUntil.getTime()).toBeLessThanOrEqual(
+      Date.now() + minutes * MINUTE * 1000
+    );
+  });
+
+  it("caps the lock at 24 hours", async () => {
+    await expect(failWith(30)).resolves.toBe(24 * 60 * MINUTE);
+  });
+
+  it("treats a missing user as no failures", async () => {
+    jest.spyOn(User, "findByIdAndUpdate").mockResolvedValue(null);
+    await expect(user.registerFailedLogin()).resolves.toBe(0);
+    expect(lockUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("User#getLockRemainingSeconds", () => {
+  it("is 0 when the account is not locked", () => {
+    expect(new User().getLockRemainingSeconds()).toBe(0);
+  });
+
+  it("is 0 once the lock has expired", () => {
+    const user = new User({ lockUntil: new Date(Date.now() - 1000) });
+    expect(user.getLockRemainingSeconds()).toBe(0);
+  });
+
+  it("rounds the remaining lock time up to whole seconds", () => {
+    const user = new User({ lockUntil: new Date(Date.now() + 90500) });
+    expect(user.getLockRemainingSeconds()).toBe(91);
+  });
+});
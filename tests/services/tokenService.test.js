@@ -0,0 +1,185 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const crypto = require("crypto");
+const Session = require("../../models/Session");
+const User = require("../../models/User");
+const {
+  ROTATION_GRACE_MS,
+  isWithinRotationGrace,
+  parseRefreshToken,
+  rotateSession,
+} = require("../../services/tokenService");
+
+const SESSION_ID = "507f1f77bcf86cd799439011";
+const USER_ID = "507f191e810c19729de860ea";
+
+const hash = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("parseRefreshToken", () => {
+  it("splits a well-formed token into session ID and secret", () => {
+    expect(parseRefreshToken(`${SESSION_ID}.abc123`)).toEqual({
+      sessionId: SESSION_ID,
+      secret: "abc123",
+    });
+  });
+
+  it.each([
+    undefined,
+    null,
+    "",
+    SESSION_ID,
+    `${SESSION_ID}.`,
+    "not-an-id.abc123",
+    ".abc123",
+  ])("returns null for %p", (token) => {
+    expect(parseRefreshToken(token)).toBeNull();
+  });
+});
+
+describe("isWithinRotationGrace", () => {
+  const session = (overrides = {}) => ({
+    previousTokenHashes: [hash("older"), hash("previous")],
+    rotatedAt: new Date(),
+    ...overrides,
+  });
+
+  it("accepts the token rotated out by a recent rotation", () => {
+    expect(isWithinRotationGrace(session(), hash("previous"))).toBe(true);
+  });
+
+  it("rejects tokens rotated out by earlier rotations", () => {
+    expect(isWithinRotationGrace(session(), hash("older"))).toBe(false);
+  });
+
+  it("rejects tokens that were never issued", () => {
+    expect(isWithinRotationGrace(session(), hash("unknown"))).toBe(false);
+  });
+
+  it("rejects the previous token once the grace window has passed", () => {
+    const rotatedAt = new Date(Date.now() - ROTATION_GRACE_MS - 1000);
+    expect(
+      isWithinRotationGrace(session({ rotatedAt }), hash("previous"))
+    ).toBe(false);
+  });
+
+  it("rejects sessions that were never rotated", () => {
+    expect(
+      isWithinRotationGrace(session({ rotatedAt: undefined }), hash("previous"))
+    ).toBe(false);
+  });
+
+  it("rejects sessions without previous tokens", () => {
+    expect(
+      isWithinRotationGrace(session({ previousTokenHashes: [] }), hash("x"))
+    ).toBe(false);
+  });
+});
+
+describe("rotateSession", () => {
+  // In-memory stand-in for the session document
+  let stored;
+  const load = () => new Session(JSON.parse(JSON.stringify(stored)));
+
+  const request = (secret) => ({
+    cookies: { refreshToken: `${SESSION_ID}.${secret}` },
+    get: () => "",
+    io: null,
+  });
+  const response = () => ({ cookie: jest.fn() });
+
+  beforeEach(() => {
+    stored = {
+      _id: SESSION_ID,
+      user: USER_ID,
+      tokenHash: hash("current"),
+      previousTokenHashes: [],
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revokedAt: null,
+    };
+    jest.spyOn(Session, "findById").mockImplementation(async () => load());
+    jest
+      .spyOn(Session, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => {
+        if (stored.tokenHash !== filter.tokenHash || stored.revokedAt) {
+          return null;
+        }
+        stored.previousTokenHashes.push(stored.tokenHash);
+        Object.assign(stored, update.$set);
+        return load();
+      });
+    jest
+      .spyOn(Session, "updateOne")
+      .mockImplementation(async (filter, update) => {
+        Object.assign(stored, update.$set);
+        return { modifiedCount: 1 };
+      });
+    jest
+      .spyOn(User, "findById")
+      .mockImplementation(
+        async () =>
+          new User({ _id: USER_ID, name: "A", email: "a@example.com" })
+      );
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  it("rotates the token and sets the new one as a cookie", async () => {
+    const res = response();
+    const { accessToken } = await rotateSession(request("current"), res);
+
+    expect(accessToken).toEqual(expect.any(String));
+    expect(stored.tokenHash).not.toBe(hash("current"));
+    expect(res.cookie).toHaveBeenCalledTimes(1);
+  });
+
+  it("lets a concurrent refresh with the same token through without revoking", async () => {
+    await rotateSession(request("current"), response());
+
+    const res = response();
+    const { accessToken } = await rotateSession(request("current"), res);
+
+    expect(accessToken).toEqual(expect.any(String));
+    expect(res.cookie).not.toHaveBeenCalled(); // The first response set the cookie
+    expect(stored.revokedAt).toBeNull();
+  });
+
+  it("lets a refresh that loses the rotation race through without revoking", async () => {
+    // Another request rotates the token between this one's read and its update
+    Session.findOneAndUpdate.mockImplementationOnce(async () => {
+      stored.previousTokenHashes.push(stored.tokenHash);
+      Object.assign(stored, {
+        tokenHash: hash("winner"),
+        rotatedAt: new Date(),
+      });
+      return null;
+    });
+
+    const res = response();
+    const { accessToken } = await rotateSession(request("current"), res);
+
+    expect(accessToken).toEqual(expect.any(String));
+    expect(res.cookie).not.toHaveBeenCalled();
+    expect(stored.revokedAt).toBeNull();
+  });
+
+  it("revokes the session when a rotated token is reused after the grace window", async () => {
+    await rotateSession(request("current"), response());
+    stored.rotatedAt = new Date(Date.now() - ROTATION_GRACE_MS - 1000);
+
+    await expect(
+      rotateSession(request("current"), response())
+    ).rejects.toMatchObject({ statusCode: 401 });
+    expect(stored.revokedAt).toEqual(expect.any(Date));
+    expect(stored.revokedReason).toBe("reuse");
+  });
+
+  it("rejects a missing cookie", async () => {
+    await expect(
+      rotateSession({ cookies: {}, io: null }, response())
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
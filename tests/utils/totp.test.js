@@ -0,0 +1,102 @@
+const {
+  base32Encode,
+  buildOtpauthUrl,
+  generateSecret,
+  hotp,
+  verifyTotp,
+} = require("../../utils/totp");
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890". The RFC lists 8-digit
+// values; a 6-digit code is the same value modulo 10^6 (its last six digits).
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890", "ascii"));
+const RFC_VECTORS = [
+  { time: 59, code: "94287082" },
+  { time: 1111111109, code: "07081804" },
+  { time: 1111111111, code: "14050471" },
+  { time: 1234567890, code: "89005924" },
+  { time: 2000000000, code: "69279037" },
+  { time: 20000000000, code: "65353130" },
+];
+
+describe("hotp", () => {
+  it("matches the RFC 4226 appendix D values", () => {
+    const expected = ["755224", "287082", "359152", "969429", "338314"];
+    expected.forEach((code, counter) => {
+      expect(hotp(RFC_SECRET, counter)).toBe(code);
+    });
+  });
+
+  it.each(RFC_VECTORS)(
+    "matches the RFC 6238 value at T=$time",
+    ({ time, code }) => {
+      expect(hotp(RFC_SECRET, Math.floor(time / 30))).toBe(code.slice(-6));
+    }
+  );
+});
+
+describe("verifyTotp", () => {
+  it.each(RFC_VECTORS)(
+    "accepts the RFC 6238 code at T=$time and returns its step",
+    ({ time, code }) => {
+      const step = verifyTotp(RFC_SECRET, code.slice(-6), {
+        window: 0,
+        now: time * 1000,
+      });
+      expect(step).toBe(Math.floor(time / 30));
+    }
+  );
+
+  it("accepts codes one step either side of the current one by default", () => {
+    const now = 1111111111 * 1000;
+    const step = Math.floor(now / 1000 / 30);
+    expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step - 1), { now })).toBe(
+      step - 1
+    );
+    expect(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step + 1), { now })).toBe(
+      step + 1
+    );
+    expect(
+      verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step + 2), { now })
+    ).toBeNull();
+  });
+
+  it("ignores whitespace in the code", () => {
+    expect(
+      verifyTotp(RFC_SECRET, "287 082", { window: 0, now: 59 * 1000 })
+    ).toBe(1);
+  });
+
+  it.each([null, undefined, "", "12345", "1234567", "abcdef", "28708a"])(
+    "rejects malformed code %p",
+    (code) => {
+      expect(verifyTotp(RFC_SECRET, code, { now: 59 * 1000 })).toBeNull();
+    }
+  );
+
+  it("rejects a wrong code", () => {
+    expect(
+      verifyTotp(RFC_SECRET, "000000", { window: 0, now: 59 * 1000 })
+    ).toBeNull();
+  });
+});
+
+describe("generateSecret", () => {
+  it("returns a 160-bit base32 secret", () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe("buildOtpauthUrl", () => {
+  it("builds a TOTP URI with the issuer and account name", () => {
+    const url = new URL(buildOtpauthUrl(RFC_SECRET, "alice@example.com"));
+    expect(url.protocol).toBe("otpauth:");
+    expect(url.host).toBe("totp");
+    expect(decodeURIComponent(url.pathname)).toBe(
+      "/QuickTalk:alice@example.com"
+    );
+    expect(url.searchParams.get("secret")).toBe(RFC_SECRET);
+    expect(url.searchParams.get("issuer")).toBe("QuickTalk");
+    expect(url.searchParams.get("digits")).toBe("6");
+    expect(url.searchParams.get("period")).toBe("30");
+  });
+});
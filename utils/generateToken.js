@@ -1,10 +1,18 @@
 // server/utils/generateToken.js
 const jwt = require("jsonwebtoken");
 
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: "30d", // Token expires in 30 days
-  });
+// Short-lived access token; longer logins are kept alive with refresh tokens
+// (see services/tokenService.js)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+// `ver` is the user's tokenVersion: changing the password bumps it, which
+// invalidates every access token issued before the change
+const generateToken = (userId, sessionId, tokenVersion = 0) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId, ver: tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
 };
 
 module.exports = generateToken;
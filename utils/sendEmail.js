@@ -1,43 +1,68 @@
-import nodemailer from 'nodemailer';
-import pug from 'pug';
-import { htmlToText } from 'html-to-text';
-import path from 'path';
-import { fileURLToPath } from 'url';
+const nodemailer = require('nodemailer');
+const pug = require('pug');
+const { htmlToText } = require('html-to-text');
+const path = require('path');
 
-// ES Modules path fix
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Create transport
+// EMAIL_TRANSPORT=json (or NODE_ENV=test) uses nodemailer's JSON transport, which builds
+// the message without sending it. Tests can also inject their own with Email.setTransport().
+let transportOverride = null;
+
+const createTransport = () => {
+  if (transportOverride) return transportOverride;
+
+  if (process.env.EMAIL_TRANSPORT === 'json' || process.env.NODE_ENV === 'test') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    // Sendgrid
+    return nodemailer.createTransport({
+      service: 'SendGrid',
+      auth: {
+        user: process.env.SENDGRID_USERNAME,
+        pass: process.env.SENDGRID_PASSWORD
+      }
+    });
+  }
+
+  // Mailtrap for development
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    auth: {
+      user: process.env.EMAIL_USERNAME,
+      pass: process.env.EMAIL_PASSWORD
+    }
+  });
+};
+
+// Sends through the current transport; JSON transport output is logged outside tests
+// so links (reset, verification) can be copied from the console in local development
+const deliver = async (mailOptions) => {
+  const info = await createTransport().sendMail(mailOptions);
+  if (info && info.message && process.env.NODE_ENV !== 'test' && !transportOverride) {
+    console.log('[Email] JSON transport output:', info.message.toString());
+  }
+  return info;
+};
 
 class Email {
   constructor(user, url) {
     this.to = user.email;
-    this.firstName = user.username.split(' ')[0];
+    this.firstName = user.name.split(' ')[0];
     this.url = url;
     this.from = `QuickTalk <${process.env.EMAIL_FROM}>`;
   }
 
+  // Swap the transport (e.g. a JSON or stub transport in tests); pass null to reset
+  static setTransport(transport) {
+    transportOverride = transport;
+  }
+
   // Create transport
   newTransport() {
-    if (process.env.NODE_ENV === 'production') {
-      // Sendgrid
-      return nodemailer.createTransport({
-        service: 'SendGrid',
-        auth: {
-          user: process.env.SENDGRID_USERNAME,
-          pass: process.env.SENDGRID_PASSWORD
-        }
-      });
-    }
-
-    // Mailtrap for development
-    return nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      auth: {
-        user: process.env.EMAIL_USERNAME,
-        pass: process.env.EMAIL_PASSWORD
-      }
-    });
+    return createTransport();
   }
 
   // Send the actual email
@@ -61,8 +86,8 @@ class Email {
       text: htmlToText(html)
     };
 
-    // 3) Create transport and send email
-    await this.newTransport().sendMail(mailOptions);
+    // 3) Send email through the configured transport
+    return deliver(mailOptions);
   }
 
   // Send welcome email
@@ -88,30 +113,8 @@ class Email {
 }
 
 // Utility function for sending emails
-export const sendEmail = async (options) => {
+const sendEmail = async (options) => {
   try {
-    // Create transporter based on environment
-    let transporter;
-    if (process.env.NODE_ENV === 'production') {
-      transporter = nodemailer.createTransport({
-        service: 'SendGrid',
-        auth: {
-          user: process.env.SENDGRID_USERNAME,
-          pass: process.env.SENDGRID_PASSWORD
-        }
-      });
-    } else {
-      // Development (Mailtrap)
-      transporter = nodemailer.createTransport({
-        host: process.env.EMAIL_HOST,
-        port: process.env.EMAIL_PORT,
-        auth: {
-          user: process.env.EMAIL_USERNAME,
-          pass: process.env.EMAIL_PASSWORD
-        }
-      });
-    }
-
     // Define email options
     const mailOptions = {
       from: process.env.EMAIL_FROM,
@@ -122,11 +125,12 @@ export const sendEmail = async (options) => {
     };
 
     // Send email
-    await transporter.sendMail(mailOptions);
+    await deliver(mailOptions);
   } catch (error) {
     console.error('Email sending error:', error);
     throw new Error('Email could not be sent');
   }
 };
 
-export default Email;
\ No newline at end of file
+module.exports = Email;
+module.exports.sendEmail = sendEmail;